@@ -0,0 +1,187 @@
+// LevelUp Academy — optional self-hosted sync server
+// - Plain Node (no dependencies): `npm run sync-server`
+// - One JSON file per user in SYNC_DATA_DIR (default ./sync-data)
+// - Every user has their own token: `npm run sync-token -- <userId>` issues one
+//   (replacing any earlier token) and prints it once. Only its SHA-256 is kept,
+//   in SYNC_DATA_DIR/auth/tokens.json. Requests must send `Authorization: Bearer <token>`
+//   and a token only opens the record of the user it was issued to
+//
+// Routes:
+//   GET  /health                 -> { ok: true }
+//   GET  /users/:userId/record   -> { record } (404 when nothing is stored yet)
+//   POST /users/:userId/sync     { record } -> { record } merged with what's stored
+//
+// Conflicts are resolved by src/sync-merge.js, the same code the app runs.
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { mergeSynced, syncRecordErrors } from '../src/sync-merge.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+// in a subdirectory, so no user id can map onto it (ids are URI-encoded, '/' included)
+const TOKENS_FILE = path.join(DATA_DIR, 'auth', 'tokens.json');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// { userId: sha256(token) }; read on every request so newly issued tokens work without a restart
+async function readTokens() {
+  try {
+    return JSON.parse(await fs.readFile(TOKENS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+}
+
+async function issueToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const tokens = await readTokens();
+  tokens[userId] = hashToken(token);
+  await fs.mkdir(path.dirname(TOKENS_FILE), { recursive: true });
+  await fs.writeFile(TOKENS_FILE, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+  return token;
+}
+
+async function checkToken(req, userId) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  const expected = (await readTokens())[userId];
+  const ok = !!token && !!expected && crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(expected, 'hex'));
+  if (!ok) throw new HttpError(401, 'Missing or wrong sync token for this user');
+}
+
+function recordPath(userId) {
+  return path.join(DATA_DIR, `${encodeURIComponent(userId)}.json`);
+}
+
+async function readRecord(userId) {
+  try {
+    return JSON.parse(await fs.readFile(recordPath(userId), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// write to a temp file first so a crash never leaves half a record behind
+async function writeRecord(userId, record) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const file = recordPath(userId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(record));
+  await fs.rename(tmp, file);
+}
+
+// merges for the same user run one after another
+const queues = new Map();
+function withUserLock(userId, task) {
+  const prev = queues.get(userId) || Promise.resolve();
+  const next = prev.then(task, task);
+  queues.set(userId, next.catch(() => {}));
+  return next;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Record too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (e) {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/health') return send(res, 200, { ok: true });
+
+  const match = url.pathname.match(/^\/users\/([^/]+)\/(record|sync)$/);
+  if (!match) throw new HttpError(404, 'Not found');
+  const userId = decodeURIComponent(match[1]);
+  await checkToken(req, userId);
+
+  if (match[2] === 'record' && req.method === 'GET') {
+    const record = await readRecord(userId);
+    if (!record) throw new HttpError(404, 'No record stored for this user');
+    return send(res, 200, { record });
+  }
+
+  if (match[2] === 'sync' && req.method === 'POST') {
+    const body = await readBody(req);
+    if (!body.record || typeof body.record !== 'object' || Array.isArray(body.record)) throw new HttpError(400, 'Expected { record }');
+    const errors = syncRecordErrors(body.record);
+    if (errors.length) throw new HttpError(400, `Invalid record: ${errors.join('; ')}`);
+    const merged = await withUserLock(userId, async () => {
+      const stored = await readRecord(userId);
+      // a record stored before validation existed may be broken; the pushed one replaces it
+      const storedErrors = stored ? syncRecordErrors(stored) : [];
+      if (storedErrors.length) console.warn(`Dropping invalid stored record for ${userId}: ${storedErrors.join('; ')}`);
+      const next = mergeSynced(storedErrors.length ? null : stored, body.record);
+      await writeRecord(userId, next);
+      return next;
+    });
+    return send(res, 200, { record: merged, serverTime: new Date().toISOString() });
+  }
+
+  throw new HttpError(405, 'Method not allowed');
+}
+
+if (process.argv[2] === 'issue-token') {
+  const userId = (process.argv[3] || '').trim().toLowerCase();
+  if (!userId) {
+    console.error('Usage: npm run sync-token -- <userId>');
+    process.exit(1);
+  }
+  issueToken(userId).then((token) => console.log(`Sync token for ${userId} (shown once): ${token}`));
+} else {
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) console.error(e);
+      send(res, status, { error: e.message });
+    });
+  });
+
+  server.listen(PORT, () => {
+    console.log(`LevelUp Academy sync server on http://localhost:${PORT} (data in ${DATA_DIR})`);
+  });
+}
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Radar,
@@ -8,6 +8,11 @@ import {
   PolarRadiusAxis,
   LineChart,
   Line,
+  BarChart,
+  Bar,
+  PieChart,
+  Pie,
+  Cell,
   CartesianGrid,
   XAxis,
   YAxis,
@@ -15,17 +20,51 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
+import corePack from './quest-packs/core.json';
+import { HISTORY_LIMIT, emptySyncClock, historyKey, mergeSynced, stampSyncClock, syncContent, syncRecordErrors } from './sync-merge.js';
 
 // LevelUp Academy — Single-file App
 // - Glassmorphism login + sign-up (local users stored in localStorage)
+// - Progress stored in IndexedDB (falls back to localStorage)
 // - Solo Leveling style dashboard with EXP / level system
 // - Offline quest generator, quest reminders, penalties for overdue
 // - Pop-up notifications for new quests, reminders, completions, penalties
 // - Quest creation with due date (reminder) support
+// - Teacher accounts: classes of local students with assigned quests and chains
+// - Optional sync with a self-hosted server (server/sync-server.js)
 
 // -------------------- Storage helpers --------------------
 const LS_ROOT = 'levelup_academy_v1';
 
+class StorageError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.cause = cause;
+  }
+}
+
+// Thrown when a stored record can't be read or upgraded; `raw` is what was found.
+class CorruptRecordError extends StorageError {
+  constructor(message, raw) {
+    super(message);
+    this.name = 'CorruptRecordError';
+    this.raw = raw;
+  }
+}
+
+// Write failures are broadcast so the app can show them instead of losing progress silently.
+const STORAGE_ERROR_EVENT = 'levelup:storage-error';
+function reportStorageError(err) {
+  const error = err instanceof StorageError ? err : toStorageError(err);
+  if (typeof window !== 'undefined') window.dispatchEvent(new CustomEvent(STORAGE_ERROR_EVENT, { detail: error }));
+  return error;
+}
+function toStorageError(err) {
+  const quota = err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  return new StorageError(quota ? 'Browser storage is full — progress could not be saved. Export a save file and free up space.' : `Could not save progress: ${(err && err.message) || 'unknown error'}`, err);
+}
+
 function safeGet(key) {
   try {
     if (typeof window === 'undefined' || !window.localStorage) return null;
@@ -36,8 +75,19 @@ function safeGet(key) {
 }
 function safeSet(key, value) {
   try {
-    if (typeof window === 'undefined' || !window.localStorage) return;
+    if (typeof window === 'undefined' || !window.localStorage) return false;
     window.localStorage.setItem(key, value);
+    return true;
+  } catch (e) {
+    reportStorageError(e);
+    return false;
+  }
+}
+
+function safeRemove(key) {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+    window.localStorage.removeItem(key);
   } catch (e) {
     // ignore
   }
@@ -56,68 +106,644 @@ function saveUsers(users) {
   safeSet(`${LS_ROOT}::users`, JSON.stringify(users));
 }
 
-function persistForUser(userId, obj) {
-  safeSet(`${LS_ROOT}::${userId}`, JSON.stringify(obj));
-}
-function loadForUser(userId) {
+// Legacy per-user blob under `${LS_ROOT}::<userId>`; read for migration and as a fallback backend.
+function loadLegacyRecord(userId) {
   const raw = safeGet(`${LS_ROOT}::${userId}`);
   if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new CorruptRecordError('Saved progress is not valid JSON', raw);
+  }
+}
+
+// -------------------- Storage backends --------------------
+// A backend exposes `loadUser(userId)`, `peekUser(userId)`, `saveUser(userId, record)`
+// and `quarantineUser(userId, raw, reason)`, all async. `peekUser` reads without
+// writing anything back. The record shape is { quests, history, ...settings }
+// regardless of backend.
+
+function createLocalStorageBackend() {
+  return {
+    name: 'localStorage',
+    async loadUser(userId) {
+      return loadLegacyRecord(userId);
+    },
+    async peekUser(userId) {
+      return loadLegacyRecord(userId);
+    },
+    async saveUser(userId, record) {
+      try {
+        window.localStorage.setItem(`${LS_ROOT}::${userId}`, JSON.stringify(record));
+      } catch (e) {
+        throw toStorageError(e);
+      }
+    },
+    async quarantineUser(userId, raw, reason) {
+      const entry = { userId, reason, at: new Date().toISOString(), raw: typeof raw === 'string' ? raw : JSON.stringify(raw) };
+      safeSet(`${LS_ROOT}::quarantine::${userId}::${Date.now()}`, JSON.stringify(entry));
+      safeRemove(`${LS_ROOT}::${userId}`);
+    },
+  };
+}
+
+// IndexedDB layout: `quests` and `history` hold one row per item keyed by
+// [userId, seq] (seq keeps list order), `settings` holds everything else keyed by userId.
+// `quarantine` keeps unreadable records for recovery.
+const IDB_NAME = 'levelup_academy';
+const IDB_VERSION = 2;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openIndexedDb() {
+  return new Promise((resolve, reject) => {
+    const req = window.indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('quests')) db.createObjectStore('quests', { keyPath: ['userId', 'seq'] });
+      if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath: ['userId', 'seq'] });
+      if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'userId' });
+      if (!db.objectStoreNames.contains('quarantine')) db.createObjectStore('quarantine', { keyPath: 'id', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new StorageError('Storage is locked by another open tab'));
+  });
+}
+
+function createIndexedDbBackend(db) {
+  // last written JSON per user and store, so unchanged stores are not rewritten
+  const written = {};
+
+  function userRange(userId) {
+    return IDBKeyRange.bound([userId, 0], [userId, Number.MAX_SAFE_INTEGER]);
+  }
+
+  async function readUser(userId) {
+    const tx = db.transaction(['quests', 'history', 'settings'], 'readonly');
+    const [questRows, historyRows, settings] = await Promise.all([
+      idbRequest(tx.objectStore('quests').getAll(userRange(userId))),
+      idbRequest(tx.objectStore('history').getAll(userRange(userId))),
+      idbRequest(tx.objectStore('settings').get(userId)),
+    ]);
+    if (!settings) return null;
+    const { userId: _id, ...rest } = settings;
+    return { ...rest, quests: questRows.map((r) => r.item), history: historyRows.map((r) => r.item) };
+  }
+
+  function writeUser(userId, record) {
+    const { quests = [], history = [], ...settings } = record;
+    const parts = { quests: JSON.stringify(quests), history: JSON.stringify(history), settings: JSON.stringify(settings) };
+    const prev = written[userId] || {};
+    const dirty = Object.keys(parts).filter((k) => parts[k] !== prev[k]);
+    if (dirty.length === 0) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(dirty, 'readwrite');
+      if (dirty.includes('quests')) {
+        const store = tx.objectStore('quests');
+        store.delete(userRange(userId));
+        quests.forEach((item, seq) => store.put({ userId, seq, item }));
+      }
+      if (dirty.includes('history')) {
+        const store = tx.objectStore('history');
+        store.delete(userRange(userId));
+        history.forEach((item, seq) => store.put({ userId, seq, item }));
+      }
+      if (dirty.includes('settings')) tx.objectStore('settings').put({ ...settings, userId });
+      tx.oncomplete = () => {
+        written[userId] = parts;
+        resolve();
+      };
+      tx.onabort = () => reject(toStorageError(tx.error));
+      tx.onerror = () => reject(toStorageError(tx.error));
+    });
+  }
+
+  return {
+    name: 'indexedDB',
+    async loadUser(userId) {
+      const existing = await readUser(userId);
+      if (existing) return existing;
+      // one-time migration from the localStorage blob
+      const legacy = loadLegacyRecord(userId);
+      if (!legacy) return null;
+      const { record } = migrateRecord(legacy);
+      await writeUser(userId, record);
+      safeRemove(`${LS_ROOT}::${userId}`);
+      return record;
+    },
+    async peekUser(userId) {
+      return (await readUser(userId)) || loadLegacyRecord(userId);
+    },
+    saveUser: writeUser,
+    quarantineUser(userId, raw, reason) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(['quarantine', 'quests', 'history', 'settings'], 'readwrite');
+        tx.objectStore('quarantine').add({ userId, reason, at: new Date().toISOString(), raw });
+        tx.objectStore('quests').delete(userRange(userId));
+        tx.objectStore('history').delete(userRange(userId));
+        tx.objectStore('settings').delete(userId);
+        tx.oncomplete = () => {
+          delete written[userId];
+          safeRemove(`${LS_ROOT}::${userId}`);
+          resolve();
+        };
+        tx.onabort = () => reject(toStorageError(tx.error));
+        tx.onerror = () => reject(toStorageError(tx.error));
+      });
+    },
+  };
+}
+
+let storagePromise = null;
+function getStorage() {
+  if (!storagePromise) {
+    storagePromise = (async () => {
+      if (typeof window === 'undefined' || !window.indexedDB) return createLocalStorageBackend();
+      try {
+        return createIndexedDbBackend(await openIndexedDb());
+      } catch (e) {
+        reportStorageError(new StorageError('IndexedDB is unavailable — falling back to localStorage', e));
+        return createLocalStorageBackend();
+      }
+    })();
+  }
+  return storagePromise;
+}
+
+// Loads and upgrades a user's record. Unreadable records are moved to
+// quarantine and reported with a CorruptRecordError rather than replaced silently.
+async function loadForUser(userId) {
+  const storage = await getStorage();
+  let raw = null;
+  try {
+    raw = await storage.loadUser(userId);
+    if (!raw) return null;
+    const { record, migrated } = migrateRecord(raw);
+    if (migrated) await storage.saveUser(userId, record);
+    return record;
+  } catch (e) {
+    if (!(e instanceof CorruptRecordError)) throw e;
+    await storage.quarantineUser(userId, e.raw !== undefined ? e.raw : raw, e.message);
+    throw e;
+  }
+}
+
+// Reads and upgrades another account's record in memory only. Nothing is saved or
+// quarantined, so looking at someone else's progress can't change it; unreadable
+// records just throw.
+async function peekForUser(userId) {
+  const storage = await getStorage();
+  const raw = await storage.peekUser(userId);
+  return raw ? migrateRecord(raw).record : null;
+}
+
+async function persistForUser(userId, obj) {
+  try {
+    const storage = await getStorage();
+    await storage.saveUser(userId, obj);
+  } catch (e) {
+    throw reportStorageError(e);
+  }
+}
+
+// -------------------- Schema migrations --------------------
+// Records carry `schemaVersion`. Unversioned blobs are version 0. Each entry in
+// RECORD_MIGRATIONS upgrades a record from version i to i + 1 and only fills
+// in what is missing, so running a step twice is harmless.
+const RECORD_SCHEMA_VERSION = 14;
+
+function finiteOr(value, fallback) {
+  return typeof value === 'number' && isFinite(value) ? value : fallback;
+}
+
+function upgradeQuest(q) {
+  const rarity = RARITIES.find((r) => r.id === q.rarity) || RARITIES[0];
+  const title = typeof q.title === 'string' && q.title.trim() ? q.title : 'Untitled quest';
+  const rewardExp = finiteOr(q.rewardExp, rarity.rewardRange[0]);
+  return {
+    ...q,
+    id: typeof q.id === 'string' ? q.id : uid('q_'),
+    title,
+    description: typeof q.description === 'string' ? q.description : title,
+    subject: q.subject || 'Soft Skills',
+    rarity: rarity.id,
+    rarityColor: q.rarityColor || rarity.color,
+    rewardExp,
+    estMins: finiteOr(q.estMins, Math.max(10, Math.round(rewardExp / 2))),
+    repeat: normalizeRepeat(q.repeat),
+    completed: !!q.completed,
+    pendingComplete: !!q.pendingComplete,
+    reminderNotified: !!q.reminderNotified,
+    penaltyApplied: !!q.penaltyApplied,
+    focusMins: finiteOr(q.focusMins, 0),
+    requireFocus: !!q.requireFocus,
+    createdAt: q.createdAt || new Date(0).toISOString(),
+    dueAt: q.dueAt || null,
+    nextDueAt: q.nextDueAt || null,
+  };
+}
+
+function upgradeHistoryEntry(h) {
+  return { ...h, type: h.type || (isClaimEntry(h) ? 'claim' : 'penalty'), reward: finiteOr(h.reward, 0) };
+}
+
+const RECORD_MIGRATIONS = [
+  // 0 -> 1: top-level fields with defaults
+  (r) => ({
+    ...r,
+    quests: r.quests || [],
+    history: r.history || [],
+    stats: { ...DEFAULT_STATS, ...(r.stats || {}) },
+    exp: Math.max(0, finiteOr(r.exp, 0)),
+    level: Math.max(1, finiteOr(r.level, 1)),
+    unspent: Math.max(0, finiteOr(r.unspent, 0)),
+    allocated: r.allocated || {},
+    streak: { ...DEFAULT_STREAK, ...(r.streak || {}) },
+    focus: r.focus || null,
+    lastGeneratedAt: r.lastGeneratedAt || null,
+  }),
+  // 1 -> 2: quests and history entries share one shape
+  (r) => ({ ...r, quests: r.quests.map(upgradeQuest), history: r.history.filter((h) => h.at).map(upgradeHistoryEntry) }),
+  // 2 -> 3: user-authored quest packs
+  (r) => ({ ...r, customPacks: Array.isArray(r.customPacks) ? r.customPacks : [], disabledPacks: Array.isArray(r.disabledPacks) ? r.disabledPacks : [] }),
+  // 3 -> 4: quest chains and step prerequisites
+  (r) => ({
+    ...r,
+    chains: Array.isArray(r.chains) ? r.chains : [],
+    quests: r.quests.map((q) => ({ ...q, chainId: q.chainId || null, requires: Array.isArray(q.requires) ? q.requires : [] })),
+  }),
+  // 4 -> 5: weekly boss and inventory
+  (r) => ({ ...r, boss: r.boss || null, inventory: Array.isArray(r.inventory) ? r.inventory : [] }),
+  // 5 -> 6: penalty rules replace the fixed 24h / 30% penalty
+  (r) => ({
+    ...r,
+    penaltyRules: Array.isArray(r.penaltyRules) ? r.penaltyRules : [{ ...DEFAULT_PENALTY_RULE }],
+    penaltyShields: finiteOr(r.penaltyShields, 1),
+    quests: r.quests.map((q) => ({ ...q, penaltyCount: finiteOr(q.penaltyCount, q.penaltyApplied ? 1 : 0), lastPenaltyAt: q.lastPenaltyAt || null })),
+  }),
+  // 6 -> 7: filed weekly reports
+  (r) => ({ ...r, reports: Array.isArray(r.reports) ? r.reports : [] }),
+  // 7 -> 8: classroom assignments (sent by teachers, received by students)
+  (r) => ({
+    ...r,
+    assignments: Array.isArray(r.assignments) ? r.assignments : [],
+    receivedAssignments: Array.isArray(r.receivedAssignments) ? r.receivedAssignments : [],
+  }),
+  // 8 -> 9: clocks for the optional sync server
+  (r) => ({ ...r, syncClock: r.syncClock && typeof r.syncClock === 'object' ? r.syncClock : emptySyncClock() }),
+  // 9 -> 10: gold and the reward shop
+  (r) => ({ ...r, gold: finiteOr(r.gold, 0), shopItems: Array.isArray(r.shopItems) ? r.shopItems : [] }),
+  // 10 -> 11: unlocked achievements by id
+  (r) => ({ ...r, achievements: r.achievements && typeof r.achievements === 'object' && !Array.isArray(r.achievements) ? r.achievements : {} }),
+  // 11 -> 12: per-profile levelling curve and job classes
+  (r) => ({ ...r, levelCurve: r.levelCurve || { ...DEFAULT_LEVEL_CURVE }, job: r.job || { ...DEFAULT_JOB } }),
+  // 12 -> 13: generator inputs stored with each seed
+  (r) => ({ ...r, genSnapshots: Array.isArray(r.genSnapshots) ? r.genSnapshots : [] }),
+  // 13 -> 14: stats and level as last seen in each week, for late reports
+  (r) => ({ ...r, weekStats: r.weekStats && typeof r.weekStats === 'object' ? r.weekStats : {} }),
+];
+
+function assertRecordShape(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new CorruptRecordError('Saved progress is not an object', raw);
+  ['quests', 'history'].forEach((k) => {
+    if (raw[k] == null) return;
+    if (!Array.isArray(raw[k]) || raw[k].some((item) => !item || typeof item !== 'object')) throw new CorruptRecordError(`Saved ${k} are malformed`, raw);
+  });
+  if (raw.stats != null && (typeof raw.stats !== 'object' || Object.values(raw.stats).some((v) => typeof v !== 'number'))) throw new CorruptRecordError('Saved stats are malformed', raw);
+}
+
+// Returns { record, migrated }.
+function migrateRecord(raw) {
+  assertRecordShape(raw);
+  const from = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 0;
+  if (from > RECORD_SCHEMA_VERSION) throw new StorageError(`Saved progress is from a newer version of the app (schema ${from})`);
+  let record = raw;
+  for (let v = from; v < RECORD_SCHEMA_VERSION; v++) record = RECORD_MIGRATIONS[v](record);
+  return { record: { ...record, schemaVersion: RECORD_SCHEMA_VERSION }, migrated: from !== RECORD_SCHEMA_VERSION };
+}
+
+// -------------------- Auth helpers --------------------
+const PBKDF2_ITERATIONS = 150_000;
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map((h) => parseInt(h, 16)));
+}
+function randomHex(byteCount) {
+  return toHex(window.crypto.getRandomValues(new Uint8Array(byteCount)));
+}
+
+async function hashPassword(password, saltHex, iterations = PBKDF2_ITERATIONS) {
+  const key = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits({ name: 'PBKDF2', salt: fromHex(saltHex), iterations, hash: 'SHA-256' }, key, 256);
+  return toHex(bits);
+}
+
+async function createCredentials(password) {
+  const salt = randomHex(16);
+  const passwordHash = await hashPassword(password, salt);
+  return { passwordHash, salt, iterations: PBKDF2_ITERATIONS };
+}
+
+// Returns true when the password matches. Accounts created before hashing
+// still carry a btoa() `password`; those are verified once and upgraded in place.
+async function verifyPassword(users, id, password) {
+  const record = users[id];
+  if (record.passwordHash) {
+    const hash = await hashPassword(password, record.salt, record.iterations || PBKDF2_ITERATIONS);
+    return hash === record.passwordHash;
+  }
+  if (record.password == null || record.password !== btoa(password)) return false;
+  const creds = await createCredentials(password);
+  const { password: _legacy, ...rest } = record;
+  users[id] = { ...rest, ...creds };
+  saveUsers(users);
+  return true;
+}
+
+// Sessions: a random token stored both on the user record and under
+// `::session`. Both must match and be unexpired for auto-login.
+function createSession(id) {
+  const session = { userId: id, token: randomHex(32), expiresAt: Date.now() + SESSION_TTL };
+  const users = loadUsers();
+  if (!users[id]) return;
+  users[id] = { ...users[id], session: { token: session.token, expiresAt: session.expiresAt } };
+  saveUsers(users);
+  safeSet(`${LS_ROOT}::session`, JSON.stringify(session));
+}
+function readStoredSession() {
+  const raw = safeGet(`${LS_ROOT}::session`);
+  if (!raw) return null;
   try {
     return JSON.parse(raw);
   } catch (e) {
     return null;
   }
 }
+function loadSession() {
+  const session = readStoredSession();
+  if (!session) return null;
+  const record = loadUsers()[session.userId];
+  if (!record || !record.session) return null;
+  if (record.session.token !== session.token || record.session.expiresAt <= Date.now()) return null;
+  return session;
+}
+function clearSession() {
+  const session = readStoredSession();
+  if (session && session.userId) {
+    const users = loadUsers();
+    if (users[session.userId]) {
+      const { session: _old, ...rest } = users[session.userId];
+      users[session.userId] = rest;
+      saveUsers(users);
+    }
+  }
+  safeRemove(`${LS_ROOT}::session`);
+}
 
 // -------------------- Utilities --------------------
-function uid(prefix = '') {
+// With an `rng`, ids come from the seeded stream so a replayed generation yields the same ids.
+function uid(prefix = '', rng = null) {
+  if (rng) return prefix + Math.floor(rng() * 2 ** 32).toString(36) + Math.floor(rng() * 2 ** 32).toString(36).slice(0, 5);
   return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
 }
-function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function randInt(min, max, rng = Math.random) {
+  return Math.floor(rng() * (max - min + 1)) + min;
+}
+
+// -------------------- Seeded RNG --------------------
+// mulberry32 seeded from a cyrb53-style string hash. Quest generation is seeded
+// per user and day (see generationSeed) so a day's quests can be replayed.
+function hashSeed(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 ^ h1) >>> 0;
+}
+
+function createRng(seed) {
+  let a = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// `run` is 'daily' for the automatic batch, or a counter for manual generations that day.
+function generationSeed(userId, day, run = 'daily') {
+  return `${userId}:${day}:${run}`;
 }
 
+const DEFAULT_STATS = { Strength: 40, Agility: 45, Intelligence: 65, Endurance: 50, Perception: 55 };
+const STAT_CAP = 100;
+
 const RARITIES = [
   { id: 'Common', weight: 60, color: 'bg-gray-700', rewardRange: [20, 40] },
   { id: 'Rare', weight: 30, color: 'bg-blue-700', rewardRange: [50, 80] },
   { id: 'Epic', weight: 10, color: 'bg-purple-700', rewardRange: [100, 160] },
 ];
-function pickRarity() {
-  const total = RARITIES.reduce((s, r) => s + r.weight, 0);
-  let r = Math.floor(Math.random() * total);
+function pickRarity(weights = null, rng = Math.random) {
+  const weightOf = (rar) => (weights ? weights[rar.id] || 0 : rar.weight);
+  const total = RARITIES.reduce((s, r) => s + weightOf(r), 0);
+  if (total <= 0) return RARITIES[0];
+  let r = rng() * total;
   for (const rar of RARITIES) {
-    if (r < rar.weight) return rar;
-    r -= rar.weight;
+    if (r < weightOf(rar)) return rar;
+    r -= weightOf(rar);
   }
   return RARITIES[0];
 }
 
-function generateQuests({ stats = {}, preferredSubject = null, count = 4 }) {
-  const subjects = ['Math', 'Coding', 'Reading', 'Systems', 'Soft Skills'];
+// -------------------- Quest packs --------------------
+// A pack is { id, name, version, templates }. Each template has:
+//   subject, title        title may contain {slot} placeholders
+//   slots?                { name: [min, max] } for numbers or { name: ['a', 'b'] } for choices
+//   rarityWeights?        { Common, Rare, Epic }; defaults to RARITIES weights
+//   rewardRange?          [min, max] EXP for any rarity; defaults to the rarity's range
+//   estMins?              [min, max]; defaults to half the reward (at least 10)
+// Built-in packs ship as JSON under ./quest-packs; user packs live in the user record.
+const BUILT_IN_PACKS = [corePack];
+const SUBJECTS = ['Coding', 'Math', 'Reading', 'Systems', 'Soft Skills'];
+
+function isRange(v) {
+  return Array.isArray(v) && v.length === 2 && v.every((n) => typeof n === 'number' && isFinite(n)) && v[0] <= v[1];
+}
+
+// Returns a list of problems; an empty list means the pack is usable.
+function validatePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object') return ['Pack is not an object'];
+  if (typeof pack.id !== 'string' || !pack.id.trim()) errors.push('Pack needs an id');
+  if (typeof pack.name !== 'string' || !pack.name.trim()) errors.push('Pack needs a name');
+  if (!Array.isArray(pack.templates)) return [...errors, 'Pack needs a templates list'];
+  pack.templates.forEach((t, i) => {
+    const at = `Template ${i + 1}`;
+    if (!t || typeof t !== 'object') {
+      errors.push(`${at} is not an object`);
+      return;
+    }
+    if (typeof t.subject !== 'string' || !t.subject.trim()) errors.push(`${at}: subject is required`);
+    if (typeof t.title !== 'string' || !t.title.trim()) errors.push(`${at}: title is required`);
+    if (t.rewardRange != null && !isRange(t.rewardRange)) errors.push(`${at}: reward range must be [min, max]`);
+    if (t.estMins != null && !isRange(t.estMins)) errors.push(`${at}: estimated minutes must be [min, max]`);
+    if (t.rarityWeights != null && (typeof t.rarityWeights !== 'object' || Object.values(t.rarityWeights).some((w) => typeof w !== 'number' || w < 0))) errors.push(`${at}: rarity weights must be non-negative numbers`);
+    const slots = t.slots || {};
+    const placeholders = typeof t.title === 'string' ? t.title.match(/\{(\w+)\}/g) || [] : [];
+    placeholders.forEach((m) => {
+      const name = m.slice(1, -1);
+      const slot = slots[name];
+      if (!slot) errors.push(`${at}: slot {${name}} has no values`);
+      else if (!isRange(slot) && !(Array.isArray(slot) && slot.length > 0)) errors.push(`${at}: slot {${name}} must be [min, max] or a list of choices`);
+    });
+  });
+  return errors;
+}
+
+function enabledTemplates(customPacks = [], disabledPacks = []) {
+  return [...BUILT_IN_PACKS, ...customPacks]
+    .filter((p) => !disabledPacks.includes(p.id) && validatePack(p).length === 0)
+    .flatMap((p) => p.templates.map((t, i) => ({ ...t, id: t.id || `${p.id}-${i}`, packId: p.id })));
+}
+
+function fillPattern(pattern, slots = {}, rng = Math.random) {
+  return pattern.replace(/\{(\w+)\}/g, (m, name) => {
+    const slot = slots[name];
+    if (isRange(slot)) return String(randInt(slot[0], slot[1], rng));
+    if (Array.isArray(slot) && slot.length) return String(slot[Math.floor(rng() * slot.length)]);
+    return m;
+  });
+}
+
+// Slots in the pack editor are written as `n: 5-15; topic: algebra, geometry`
+function parseSlots(text) {
+  const slots = {};
+  text.split(';').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const idx = part.indexOf(':');
+    if (idx < 0) return;
+    const name = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    const range = value.match(/^(\d+)\s*-\s*(\d+)$/);
+    slots[name] = range ? [Number(range[1]), Number(range[2])] : value.split(',').map((v) => v.trim()).filter(Boolean);
+  });
+  return slots;
+}
+function formatSlots(slots = {}) {
+  return Object.entries(slots).map(([k, v]) => `${k}: ${isRange(v) ? `${v[0]}-${v[1]}` : v.join(', ')}`).join('; ');
+}
+
+// -------------------- Adaptive generation --------------------
+// Subjects are weighted by two factors, each between 1 and 2: how far the
+// subject's stat trails the player's best stat, and how long since a quest in
+// that subject was last claimed. Rarity and reward scale gently with level.
+const SUBJECT_STATS = { Coding: 'Intelligence', Math: 'Perception', Reading: 'Endurance', Systems: 'Strength', 'Soft Skills': 'Agility' };
+const NEGLECT_WINDOW_DAYS = 7;
+const RECENT_TITLE_DAYS = 3;
+
+function daysSinceSubject(subject, history, now = Date.now()) {
+  const last = history.find((h) => isClaimEntry(h) && h.subject === subject);
+  if (!last) return null;
+  return Math.floor((now - new Date(last.at).getTime()) / DAY_MS);
+}
+
+function subjectWeights(subjects, stats = {}, history = [], now = Date.now()) {
+  const statValues = Object.values(stats);
+  const maxStat = statValues.length ? Math.max(...statValues) : STAT_CAP;
+  return subjects.map((subject) => {
+    const stat = SUBJECT_STATS[subject];
+    const value = stat && stats[stat] != null ? stats[stat] : null;
+    const statFactor = value == null ? 1 : 1 + (maxStat - value) / Math.max(1, maxStat);
+    const days = daysSinceSubject(subject, history, now);
+    const neglectFactor = 1 + Math.min(days == null ? NEGLECT_WINDOW_DAYS : days, NEGLECT_WINDOW_DAYS) / NEGLECT_WINDOW_DAYS;
+
+    const reasons = [];
+    if (neglectFactor > 1.25) reasons.push(days == null ? `No ${subject} quests claimed recently` : `${subject} untouched for ${days} day${days === 1 ? '' : 's'}`);
+    if (statFactor > 1.25) reasons.push(`builds ${stat} (${value}), one of your weaker stats`);
+    const reason = reasons.length ? reasons.join('; ').replace(/^./, (c) => c.toUpperCase()) : 'Keeps your practice balanced';
+    return { subject, weight: statFactor * neglectFactor, reason };
+  });
+}
+
+// Higher levels shift odds toward Rare and Epic and raise rewards (both capped).
+function levelRarityWeights(baseWeights, level = 1) {
+  const boost = { Common: 1, Rare: 1 + Math.min(level - 1, 20) * 0.05, Epic: 1 + Math.min(level - 1, 20) * 0.1 };
+  return Object.fromEntries(RARITIES.map((r) => [r.id, (baseWeights ? baseWeights[r.id] || 0 : r.weight) * boost[r.id]]));
+}
+function levelRewardScale(level = 1) {
+  return Math.min(2, 1 + (level - 1) * 0.05);
+}
+
+// Titles seen in the RECENT_TITLE_DAYS before `until`. The daily batch passes the
+// start of the day so replaying it later that day sees the same inputs.
+function recentQuestTitles(quests = [], history = [], until = Date.now()) {
+  const since = until - RECENT_TITLE_DAYS * DAY_MS;
+  const inWindow = (at) => {
+    const t = new Date(at).getTime();
+    return t >= since && t < until;
+  };
+  const titles = new Set();
+  quests.forEach((q) => { if (inWindow(q.createdAt)) titles.add(q.title); });
+  history.forEach((h) => { if (inWindow(h.at)) titles.add(h.title); });
+  return titles;
+}
+
+function startOfDay(date = new Date()) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Pass `seed` for a reproducible batch: the same seed and inputs give the same quests.
+function generateQuests({ stats = {}, preferredSubject = null, count = 4, templates = enabledTemplates(), history = [], level = 1, recentTitles = new Set(), seed = null, now = Date.now() }) {
+  const rng = seed != null ? createRng(seed) : Math.random;
+  const pool = preferredSubject ? templates.filter((t) => t.subject === preferredSubject) : templates;
+  if (pool.length === 0) return [];
+  const weighted = subjectWeights(Array.from(new Set(pool.map((t) => t.subject))), stats, history, now);
+  const totalWeight = weighted.reduce((s, w) => s + w.weight, 0);
+  const avoid = new Set(recentTitles);
   const chosen = [];
   for (let i = 0; i < count; i++) {
-    const subject = preferredSubject || subjects[Math.floor(Math.random() * subjects.length)];
-    const rarity = pickRarity();
-    const baseTitle = (() => {
-      switch (subject) {
-        case 'Math':
-          return ['Solve 10 algebra problems', 'Practice integration problems', 'Finish geometry sheet'][Math.floor(Math.random() * 3)];
-        case 'Coding':
-          return ['Build a small React component', 'Solve 2 medium LeetCode problems', 'Refactor a small module'][Math.floor(Math.random() * 3)];
-        case 'Reading':
-          return ['Read 10 pages of a textbook', 'Summarize one research paper', 'Read chapter & take notes'][Math.floor(Math.random() * 3)];
-        case 'Systems':
-          return ['Sketch an architecture for a feature', 'Read a system design article', 'Draw sequence diagrams'][Math.floor(Math.random() * 3)];
-        default:
-          return ['Practice flashcards', 'Do 25 minutes focused study', 'Plan next week study schedule'][Math.floor(Math.random() * 3)];
-      }
-    })();
+    let roll = rng() * totalWeight;
+    const pick = weighted.find((w) => (roll -= w.weight) < 0) || weighted[weighted.length - 1];
+    const { subject } = pick;
+    const options = pool.filter((t) => t.subject === subject);
 
-    const reward = randInt(rarity.rewardRange[0], rarity.rewardRange[1]);
-    const est = Math.max(10, Math.round(reward / 2));
+    // try a few draws for a title that wasn't seen in the last few days
+    let template = null;
+    let baseTitle = '';
+    for (let attempt = 0; attempt < 6; attempt++) {
+      template = options[Math.floor(rng() * options.length)];
+      baseTitle = fillPattern(template.title, template.slots, rng);
+      if (!avoid.has(baseTitle)) break;
+    }
+    avoid.add(baseTitle);
+
+    const rarity = pickRarity(levelRarityWeights(template.rarityWeights || null, level), rng);
+    const range = template.rewardRange || rarity.rewardRange;
+    const reward = Math.round(randInt(range[0], range[1], rng) * levelRewardScale(level));
+    const est = template.estMins ? randInt(template.estMins[0], template.estMins[1], rng) : Math.max(10, Math.round(reward / 2));
+    const reason = level > 1 ? `${pick.reason} • scaled for level ${level}` : pick.reason;
 
     chosen.push({
-      id: uid('q_'),
+      id: uid('q_', seed != null ? rng : null),
       title: baseTitle,
       description: `${baseTitle} — focused ${subject.toLowerCase()} practice.`,
       subject,
@@ -125,70 +751,2387 @@ function generateQuests({ stats = {}, preferredSubject = null, count = 4 }) {
       rarityColor: rarity.color,
       rewardExp: reward,
       estMins: est,
-      repeat: rarity.id !== 'Epic',
+      repeat: null, // the daily generator already refreshes these
       completed: false,
       pendingComplete: false,
       reminderNotified: false,
       penaltyApplied: false,
-      createdAt: new Date().toISOString(),
+      focusMins: 0,
+      requireFocus: false,
+      packId: template.packId,
+      templateId: template.id,
+      reason,
+      seed,
+      createdAt: new Date(now).toISOString(),
+      dueAt: null,
     });
   }
   return chosen;
 }
 
-// -------------------- UI Bits --------------------
-function Tabs({ activeTab, onChange, tabs }) {
-  return (
-    <div className="flex gap-2 border-b border-slate-700 pb-2 mb-4">
-      {tabs.map((t) => (
-        <button
-          key={t}
-          onClick={() => onChange(t)}
-          className={`px-3 py-2 rounded-t-md text-sm ${activeTab === t ? 'bg-slate-800 text-emerald-300' : 'bg-slate-700 text-slate-300'}`}>
-          {t}
-        </button>
-      ))}
+// Everything generateQuests reads besides the seed, stored next to it so a run can
+// be replayed exactly later: history is cut down to the last claim per subject
+// (all the weights look at) and the clock is fixed.
+const GEN_SNAPSHOT_LIMIT = 14;
+
+function generatorSnapshot({ seed, count, stats, level, history, recentTitles, templates, now = Date.now() }) {
+  const lastClaims = [];
+  history.forEach((h) => {
+    if (isClaimEntry(h) && !lastClaims.some((c) => c.subject === h.subject)) lastClaims.push({ type: 'claim', subject: h.subject, at: h.at });
+  });
+  return { seed, count, stats: { ...stats }, level, history: lastClaims, recentTitles: [...recentTitles], templates, now };
+}
+
+function generateFromSnapshot(snap) {
+  return generateQuests({ ...snap, recentTitles: new Set(snap.recentTitles) });
+}
+
+// -------------------- Recurrence --------------------
+// A quest's `repeat` is either null or a rule object:
+//   { type: 'daily' }
+//   { type: 'weekdays', days: [1, 3, 5] }   (0 = Sunday)
+//   { type: 'interval', every: 3 }          (every N days)
+//   { type: 'monthly', day: 15 }            (clamped to the month's length)
+// Older records stored a plain boolean, which never drove anything and is treated as "no rule".
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function normalizeRepeat(repeat) {
+  if (!repeat || typeof repeat !== 'object') return null;
+  if (!['daily', 'weekdays', 'interval', 'monthly'].includes(repeat.type)) return null;
+  return repeat;
+}
+
+function describeRepeat(repeat) {
+  const rule = normalizeRepeat(repeat);
+  if (!rule) return null;
+  switch (rule.type) {
+    case 'daily':
+      return 'Daily';
+    case 'weekdays':
+      return (rule.days || []).slice().sort().map((d) => WEEKDAY_LABELS[d]).join(', ') || 'Weekly';
+    case 'interval':
+      return `Every ${rule.every} days`;
+    default:
+      return `Monthly on day ${rule.day}`;
+  }
+}
+
+function advanceOccurrence(rule, date) {
+  const d = new Date(date);
+  switch (rule.type) {
+    case 'daily':
+      d.setDate(d.getDate() + 1);
+      return d;
+    case 'interval':
+      d.setDate(d.getDate() + Math.max(1, Number(rule.every) || 1));
+      return d;
+    case 'weekdays': {
+      const days = rule.days && rule.days.length ? rule.days : [0, 1, 2, 3, 4, 5, 6];
+      do {
+        d.setDate(d.getDate() + 1);
+      } while (!days.includes(d.getDay()));
+      return d;
+    }
+    default: {
+      const day = Number(rule.day) || d.getDate();
+      const next = new Date(d.getFullYear(), d.getMonth() + 1, 1, d.getHours(), d.getMinutes());
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(day, lastDay));
+      return next;
+    }
+  }
+}
+
+// First occurrence strictly after `now`, stepping from the previous due date
+// (or the end of the completion day for quests without one).
+function nextOccurrence(repeat, q, now = Date.now()) {
+  const rule = normalizeRepeat(repeat);
+  if (!rule) return null;
+  let d = q.dueAt ? new Date(q.dueAt) : new Date(now);
+  if (!q.dueAt) d.setHours(23, 59, 0, 0);
+  for (let guard = 0; guard < 1000; guard++) {
+    d = advanceOccurrence(rule, d);
+    if (d.getTime() > now) break;
+  }
+  return d.toISOString();
+}
+
+function spawnOccurrence(q) {
+  return {
+    ...q,
+    id: uid('q_'),
+    seriesId: q.seriesId || q.id,
+    completed: false,
+    pendingComplete: false,
+    reminderNotified: false,
+    penaltyApplied: false,
+    penaltyCount: 0,
+    lastPenaltyAt: null,
+    focusMins: 0,
+    nextDueAt: null,
+    rolledOver: false,
+    createdAt: new Date().toISOString(),
+    dueAt: q.nextDueAt,
+  };
+}
+
+// -------------------- Quest chains --------------------
+// A chain is { id, title, bonusExp, stepIds, createdAt, completedAt }. Its steps are
+// ordinary quests carrying `chainId` and `requires` (ids of prerequisite steps).
+// Several steps may require the same step, or one step several, which gives branches.
+// A step stays locked until every prerequisite still in the log has been claimed.
+function isQuestLocked(q, quests) {
+  if (!q.requires || q.requires.length === 0) return false;
+  return q.requires.some((id) => {
+    const prereq = quests.find((x) => x.id === id);
+    return prereq && !prereq.completed;
+  });
+}
+
+function chainProgress(chain, quests) {
+  const steps = chain.stepIds.map((id) => quests.find((q) => q.id === id)).filter(Boolean);
+  const done = steps.filter((q) => q.completed).length;
+  return { steps, done, total: steps.length, complete: steps.length > 0 && done === steps.length };
+}
+
+// -------------------- Classroom --------------------
+// Accounts in the user store carry a role. Teachers keep their `classes` there;
+// students a teacher creates point back with `teacherId` and `classId`. Accounts
+// without a role are self-directed students. Assignments are stored in the
+// teacher's record, and students pull the ones addressed to them on load.
+function accountRole(account) {
+  return account && account.role === 'teacher' ? 'teacher' : 'student';
+}
+
+// Nobody can make themselves a teacher. The first teachers are named when the app
+// is built (VITE_TEACHER_EMAILS, comma separated) and sign up as teachers; after
+// that a teacher can promote an existing self-directed account.
+const SETUP_TEACHERS = String(import.meta.env.VITE_TEACHER_EMAILS || '')
+  .split(',')
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+function isSetupTeacher(id) {
+  return SETUP_TEACHERS.includes(id);
+}
+
+// Why `promoterId` can't make `id` a teacher, or null when it can.
+function promotionBlocker(users, promoterId, id) {
+  if (accountRole(users[promoterId]) !== 'teacher') return 'Only teachers can add teachers';
+  const account = users[id];
+  if (!account) return 'No account with that email';
+  if (accountRole(account) === 'teacher') return 'That account is already a teacher';
+  if (account.teacherId) return 'That account belongs to a class';
+  return null;
+}
+
+function classStudents(users, teacherId, classId) {
+  return Object.values(users).filter((u) => u.teacherId === teacherId && u.classId === classId);
+}
+
+// An assignment goes to its listed students, or to the whole class when none are listed.
+function isAssignedTo(assignment, studentId, classId) {
+  if (assignment.studentIds && assignment.studentIds.length) return assignment.studentIds.includes(studentId);
+  return assignment.classId === classId;
+}
+
+// The quests (and chain) a student receives for an assignment, tagged so the Quest Log can tell them apart.
+function materializeAssignment(assignment) {
+  const tag = { assignmentId: assignment.id, assignedBy: assignment.teacherId };
+  if (assignment.kind === 'chain') {
+    return { quests: assignment.steps.map((q) => ({ ...q, ...tag, createdAt: new Date().toISOString() })), chain: { ...assignment.chain, ...tag } };
+  }
+  return { quests: [{ ...assignment.quest, ...tag, createdAt: new Date().toISOString() }], chain: null };
+}
+
+// Read-only numbers the teacher overview shows for one student record.
+function summarizeStudent(record) {
+  const r = record || {};
+  const history = r.history || [];
+  const quests = r.quests || [];
+  const weekStart = new Date(`${weekKey()}T00:00`).getTime();
+  const byAssignment = {};
+  quests.filter((q) => q.assignmentId).forEach((q) => {
+    const a = byAssignment[q.assignmentId] || (byAssignment[q.assignmentId] = { done: 0, total: 0 });
+    a.total += 1;
+    if (q.completed) a.done += 1;
+  });
+  return {
+    level: r.level || 1,
+    exp: r.exp || 0,
+    streak: computeStreak(history, (r.streak && r.streak.frozenDays) || []).current,
+    claimedThisWeek: history.filter((h) => isClaimEntry(h) && new Date(h.at).getTime() >= weekStart).length,
+    assignedDone: Object.values(byAssignment).reduce((sum, a) => sum + a.done, 0),
+    assignedTotal: Object.values(byAssignment).reduce((sum, a) => sum + a.total, 0),
+    finished: Object.keys(byAssignment).filter((id) => byAssignment[id].done === byAssignment[id].total),
+    received: r.receivedAssignments || [],
+    lastActive: history.length ? history[0].at : null,
+  };
+}
+
+// -------------------- Leaderboard --------------------
+// Local accounts that opted in (`leaderboard.optIn` in the user store) are ranked on
+// four boards. Weekly boards only count history since Monday, so they reset on
+// their own each week. Ties are broken by the listed keys in order; the display
+// name is the last key, so the order is always total.
+const LEADERBOARDS = [
+  {
+    id: 'totalExp',
+    label: 'Total EXP',
+    value: (e) => `${e.totalExp} EXP · Lv ${e.level}`,
+    keys: [['totalExp', 'desc'], ['level', 'desc'], ['name', 'asc']],
+    rule: 'More EXP earned overall (profiles level on different curves), then higher level, then name.',
+  },
+  {
+    id: 'weeklyExp',
+    label: 'Weekly EXP',
+    value: (e) => `${e.weeklyExp} EXP`,
+    keys: [['weeklyExp', 'desc'], ['weeklyQuests', 'desc'], ['lastGainAt', 'asc'], ['name', 'asc']],
+    rule: 'More EXP this week, then more quests this week, then whoever got there first, then name.',
+  },
+  {
+    id: 'streak',
+    label: 'Streak',
+    value: (e) => `${e.streak} day${e.streak === 1 ? '' : 's'}`,
+    keys: [['streak', 'desc'], ['bestStreak', 'desc'], ['name', 'asc']],
+    rule: 'Longer current streak, then longer best streak, then name.',
+  },
+  {
+    id: 'quests',
+    label: 'Quests completed',
+    value: (e) => `${e.weeklyQuests} this week`,
+    keys: [['weeklyQuests', 'desc'], ['weeklyExp', 'desc'], ['totalQuests', 'desc'], ['name', 'asc']],
+    rule: 'More quests claimed this week, then more weekly EXP, then more quests overall, then name.',
+  },
+];
+
+function leaderboardName(account) {
+  const alias = account.leaderboard && account.leaderboard.alias;
+  return alias || account.email.split('@')[0];
+}
+
+function leaderboardEntry(account, record, week = weekKey()) {
+  const r = record || {};
+  const history = r.history || [];
+  const from = new Date(`${week}T00:00`).getTime();
+  const thisWeek = history.filter((h) => new Date(h.at).getTime() >= from);
+  const streakInfo = computeStreak(history, (r.streak && r.streak.frozenDays) || []);
+  const gains = thisWeek.filter((h) => h.reward > 0);
+  return {
+    id: account.email,
+    name: leaderboardName(account),
+    level: r.level || 1,
+    exp: r.exp || 0,
+    totalExp: totalExp(r.levelCurve, r.level || 1, r.exp || 0),
+    weeklyExp: thisWeek.reduce((sum, h) => sum + (h.reward || 0), 0),
+    weeklyQuests: thisWeek.filter(isClaimEntry).length,
+    totalQuests: history.filter(isClaimEntry).length,
+    lastGainAt: gains.length ? gains.reduce((max, h) => (h.at > max ? h.at : max), gains[0].at) : '9999',
+    streak: streakInfo.current,
+    bestStreak: Math.max(streakInfo.best, (r.streak && r.streak.best) || 0),
+  };
+}
+
+function rankEntries(entries, board) {
+  const sorted = [...entries].sort((a, b) => {
+    for (const [key, dir] of board.keys) {
+      if (a[key] === b[key]) continue;
+      return (a[key] < b[key] ? -1 : 1) * (dir === 'asc' ? 1 : -1);
+    }
+    return 0;
+  });
+  return sorted.map((e, i) => ({ ...e, rank: i + 1 }));
+}
+
+// -------------------- Quest log --------------------
+const QUEST_STATUSES = ['active', 'locked', 'pending', 'completed'];
+const QUEST_SORTS = {
+  created: { label: 'Created', value: (q) => new Date(q.createdAt || 0).getTime() },
+  due: { label: 'Due date', value: (q) => (q.dueAt ? new Date(q.dueAt).getTime() : null) },
+  reward: { label: 'Reward', value: (q) => q.rewardExp || 0 },
+};
+
+function isQuestOverdue(q, now = Date.now()) {
+  return !!q.dueAt && !q.completed && new Date(q.dueAt).getTime() < now;
+}
+
+function questStatus(q, quests) {
+  if (q.completed) return 'completed';
+  if (q.pendingComplete) return 'pending';
+  if (isQuestLocked(q, quests)) return 'locked';
+  return 'active';
+}
+
+// filter = { search, subject, rarity, status, source, overdue }; 'all' / '' / false mean "don't filter".
+function filterQuests(quests, filter, now = Date.now()) {
+  const needle = (filter.search || '').trim().toLowerCase();
+  return quests.filter((q) => {
+    if (needle && !`${q.title} ${q.description || ''} ${q.subject}`.toLowerCase().includes(needle)) return false;
+    if (filter.subject !== 'all' && q.subject !== filter.subject) return false;
+    if (filter.rarity !== 'all' && q.rarity !== filter.rarity) return false;
+    if (filter.status !== 'all' && questStatus(q, quests) !== filter.status) return false;
+    if (filter.source === 'assigned' && !q.assignmentId) return false;
+    if (filter.source === 'self' && q.assignmentId) return false;
+    if (filter.overdue && !isQuestOverdue(q, now)) return false;
+    return true;
+  });
+}
+
+// Quests without a value for the sort key (e.g. no due date) always go last.
+function sortQuests(quests, key, dir = 'asc') {
+  const value = (QUEST_SORTS[key] || QUEST_SORTS.created).value;
+  const sign = dir === 'desc' ? -1 : 1;
+  return [...quests].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va === null || vb === null) return va === vb ? 0 : va === null ? 1 : -1;
+    return (va - vb) * sign;
+  });
+}
+
+// -------------------- Levelling --------------------
+// EXP needed to go from `level` to the next one. Every profile picks a curve:
+//   linear       base + (level - 1) * step
+//   exponential  base * growth^(level - 1)
+//   table        table[level - 1]; past the end it keeps the table's last step
+const LEVEL_CURVE_TYPES = [
+  { id: 'linear', name: 'Linear' },
+  { id: 'exponential', name: 'Exponential' },
+  { id: 'table', name: 'Table' },
+];
+const DEFAULT_LEVEL_CURVE = { type: 'linear', base: 200, step: 50, growth: 1.15, table: [200, 250, 300, 400, 500, 650, 800, 1000] };
+const ATTRIBUTE_POINTS_PER_LEVEL = 3;
+const MAX_LEVEL_EXP = 1e9;
+
+function expForLevel(curve, level) {
+  const c = { ...DEFAULT_LEVEL_CURVE, ...(curve || {}) };
+  let need;
+  if (c.type === 'exponential') {
+    need = c.base * c.growth ** (level - 1);
+  } else if (c.type === 'table' && c.table.length > 0) {
+    const t = c.table;
+    const lastStep = t.length > 1 ? t[t.length - 1] - t[t.length - 2] : 0;
+    need = level <= t.length ? t[level - 1] : t[t.length - 1] + (level - t.length) * lastStep;
+  } else {
+    need = c.base + (level - 1) * c.step;
+  }
+  if (Number.isNaN(need) || need <= 0) return DEFAULT_LEVEL_CURVE.base;
+  // a steep exponential curve overflows to Infinity after enough levels
+  return Math.min(MAX_LEVEL_EXP, Math.round(need));
+}
+
+// Net EXP earned over the profile's life: what every past level cost plus the
+// progress toward the next one. Levelling only moves EXP into levels, so this is
+// comparable across profiles on different curves.
+function totalExp(curve, level, exp) {
+  let sum = exp;
+  for (let l = 1; l < level; l++) sum += expForLevel(curve, l);
+  return sum;
+}
+
+// The curve can only be changed before any EXP is earned, so a cheaper curve can't
+// hand out levels (and their points, drops and job changes) after the fact.
+function levelCurveLocked(level, exp) {
+  return level > 1 || exp > 0;
+}
+
+// Job change: reaching a milestone level unlocks one focused Epic trial per
+// milestone; it can only be claimed with its full focus time, and claiming it
+// lets the player pick (or switch) a class. Each change raises the
+// class rank, and passive bonuses scale with the rank.
+const JOB_CHANGE_LEVELS = [10, 25, 50];
+const JOB_TRIAL_MINS = 60;
+const DEFAULT_JOB = { classId: null, rank: 0, canChoose: false, changes: [] };
+const JOB_CLASSES = [
+  { id: 'scholar', name: 'Scholar', icon: '📖', description: '+10% EXP on Reading quests', expBonus: { Reading: 0.1 } },
+  { id: 'mage', name: 'Code Mage', icon: '🪄', description: '+10% EXP on Coding quests', expBonus: { Coding: 0.1 } },
+  { id: 'strategist', name: 'Strategist', icon: '♟️', description: '+10% EXP on Math quests', expBonus: { Math: 0.1 } },
+  { id: 'engineer', name: 'Engineer', icon: '⚙️', description: '+10% EXP on Systems quests', expBonus: { Systems: 0.1 } },
+  { id: 'diplomat', name: 'Diplomat', icon: '🤝', description: '+10% EXP on Soft Skills quests', expBonus: { 'Soft Skills': 0.1 } },
+  { id: 'merchant', name: 'Merchant', icon: '💰', description: '+15% gold from claims', goldBonus: 0.15 },
+];
+
+function jobClass(job) {
+  return (job && JOB_CLASSES.find((c) => c.id === job.classId)) || null;
+}
+
+function nextJobMilestone(job) {
+  return JOB_CHANGE_LEVELS[job.changes.length] || null;
+}
+
+function classExpFactor(job, subject) {
+  const cls = jobClass(job);
+  return 1 + (cls && cls.expBonus ? (cls.expBonus[subject] || 0) * job.rank : 0);
+}
+
+function classGoldFactor(job) {
+  const cls = jobClass(job);
+  return 1 + (cls && cls.goldBonus ? cls.goldBonus * job.rank : 0);
+}
+
+// The trial targets the subject behind the player's weakest stat.
+function jobTrialQuest(milestone, stats) {
+  const subject = SUBJECTS.reduce((low, s) => ((stats[SUBJECT_STATS[s]] || 0) < (stats[SUBJECT_STATS[low]] || 0) ? s : low), SUBJECTS[0]);
+  const epic = RARITIES.find((r) => r.id === 'Epic');
+  return {
+    id: `job_trial_${milestone}`,
+    title: `Job Change Trial: Level ${milestone}`,
+    description: `Spend a full ${JOB_TRIAL_MINS} focused minutes on ${subject.toLowerCase()} — your weakest subject. Claim it with the whole focus time to choose a class.`,
+    subject,
+    rarity: epic.id,
+    rarityColor: epic.color,
+    rewardExp: 100 + milestone * 5,
+    estMins: JOB_TRIAL_MINS,
+    repeat: null,
+    completed: false,
+    pendingComplete: false,
+    reminderNotified: false,
+    penaltyApplied: false,
+    focusMins: 0,
+    requireFocus: true,
+    jobChange: milestone,
+    createdAt: new Date().toISOString(),
+    dueAt: null,
+  };
+}
+
+// -------------------- Streaks --------------------
+// A streak is a run of consecutive local days with at least one claimed quest.
+// Days covered by a spent streak freeze count as active. Today not being
+// claimed yet does not break the streak; it only ends once a full day is missed.
+const STREAK_MILESTONES = [
+  { days: 3, multiplier: 1.1 },
+  { days: 7, multiplier: 1.25 },
+  { days: 14, multiplier: 1.5 },
+  { days: 30, multiplier: 2 },
+];
+const STREAK_FREEZE_EVERY = 7; // a freeze is earned every 7 streak days
+const STREAK_FREEZE_MAX = 3;
+const DEFAULT_STREAK = { best: 0, freezes: 1, frozenDays: [], lastFreezeAwardDay: null };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+function shiftDay(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Claims are tagged with `type: 'claim'`; older history entries are told apart by their sign and title.
+function isClaimEntry(h) {
+  if (h.type) return h.type === 'claim';
+  return h.reward > 0 && !String(h.title || '').startsWith('Penalty:');
+}
+
+function computeStreak(history, frozenDays = [], now = Date.now()) {
+  const active = new Set(frozenDays);
+  history.forEach((h) => { if (isClaimEntry(h)) active.add(dayKey(h.at)); });
+
+  const today = new Date(now);
+  const end = active.has(dayKey(today)) ? today : shiftDay(today, -1);
+  let current = 0;
+  while (active.has(dayKey(shiftDay(end, -current)))) current += 1;
+
+  // missed days between the current run and the previous active day (repairable with freezes)
+  const runStart = shiftDay(end, -current + 1);
+  const missed = [];
+  let previousActive = null;
+  for (let i = 1; i <= 30; i++) {
+    const d = shiftDay(runStart, -i);
+    if (active.has(dayKey(d))) {
+      previousActive = d;
+      break;
+    }
+    missed.push(dayKey(d));
+  }
+
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  Array.from(active).sort().forEach((k) => {
+    const d = new Date(`${k}T12:00:00`);
+    run = prev && Math.round((d - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = d;
+  });
+
+  // only offer a repair right after the break, not for old gaps behind a fresh run
+  const repairable = previousActive && current <= 1;
+  return { current, best, endDay: dayKey(end), missed: repairable ? missed.reverse() : [] };
+}
+
+function streakMultiplier(days) {
+  let mult = 1;
+  STREAK_MILESTONES.forEach((m) => { if (days >= m.days) mult = m.multiplier; });
+  return mult;
+}
+
+// -------------------- Weekly boss --------------------
+// One boss per week (weeks start on Monday). Each claimed quest deals damage equal to
+// its base rewardExp. Defeat pays EXP and drops a trophy into the inventory; a boss
+// still standing when the week rolls over costs a share of its reward as a penalty.
+const BOSSES = [
+  { name: 'Procrastination Golem', icon: '🗿' },
+  { name: 'Distraction Hydra', icon: '🐉' },
+  { name: 'Deadline Wraith', icon: '👻' },
+  { name: 'Burnout Behemoth', icon: '🦣' },
+  { name: 'Cram Session Lich', icon: '💀' },
+];
+const BOSS_DAMAGE_PER_EXP = 1;
+const BOSS_PENALTY_RATIO = 0.3;
+
+function weekKey(date = new Date()) {
+  const d = new Date(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return dayKey(d);
+}
+
+function spawnBoss(userId, week, level = 1) {
+  const rng = createRng(`${userId}:${week}:boss`);
+  const base = BOSSES[Math.floor(rng() * BOSSES.length)];
+  const maxHp = 500 + (level - 1) * 75;
+  return {
+    id: `boss_${week}`,
+    week,
+    name: base.name,
+    icon: base.icon,
+    maxHp,
+    hp: maxHp,
+    rewardExp: 250 + (level - 1) * 25,
+    defeatedAt: null,
+  };
+}
+
+function bossPenalty(boss) {
+  return Math.round(boss.rewardExp * BOSS_PENALTY_RATIO);
+}
+
+// -------------------- Penalty engine --------------------
+// Overdue quests are matched against the player's rules in order; the first enabled
+// rule whose `appliesTo` is 'all', the quest's rarity or its subject decides the penalty.
+//   graceHours     hours past dueAt before the first penalty
+//   mode, amount   'percent' of the quest's rewardExp, or a 'flat' EXP amount
+//   repeatHours    re-apply every N hours while still overdue (0 = once), at most maxRepeats more times
+//   escalation     extra share per strike, where strikes are penalties in the last STRIKE_WINDOW_DAYS
+//   statDecay      points taken from the stat tied to the quest's subject
+//   canDelevel     let the EXP loss drop the player below the current level
+//   useShields     spend a penalty shield instead, when one is available
+const HOUR_MS = 60 * 60 * 1000;
+const STRIKE_WINDOW_DAYS = 7;
+const DEFAULT_PENALTY_RULE = {
+  id: 'default',
+  name: 'Overdue quests',
+  enabled: true,
+  appliesTo: 'all',
+  graceHours: 24,
+  mode: 'percent',
+  amount: 30,
+  repeatHours: 0,
+  maxRepeats: 3,
+  escalation: 0,
+  statDecay: 0,
+  canDelevel: false,
+  useShields: true,
+};
+
+function matchPenaltyRule(rules, q) {
+  return rules.find((r) => r.enabled && (r.appliesTo === 'all' || r.appliesTo === q.rarity || r.appliesTo === q.subject)) || null;
+}
+
+function penaltyIsDue(rule, q, now = Date.now()) {
+  const due = new Date(q.dueAt).getTime();
+  const count = q.penaltyCount || (q.penaltyApplied ? 1 : 0);
+  if (count === 0) return now - due >= rule.graceHours * HOUR_MS;
+  if (!rule.repeatHours || count > rule.maxRepeats) return false;
+  const last = q.lastPenaltyAt ? new Date(q.lastPenaltyAt).getTime() : due + rule.graceHours * HOUR_MS;
+  return now - last >= rule.repeatHours * HOUR_MS;
+}
+
+function computePenalty(rule, q, strikes = 0) {
+  const base = rule.mode === 'flat' ? rule.amount : ((q.rewardExp || 0) * rule.amount) / 100;
+  return { amount: Math.max(0, Math.round(base * (1 + rule.escalation * strikes))), statDecay: rule.statDecay || 0 };
+}
+
+function countStrikes(history, now = Date.now()) {
+  const since = now - STRIKE_WINDOW_DAYS * DAY_MS;
+  return history.filter((h) => h.type === 'penalty' && new Date(h.at).getTime() >= since).length;
+}
+
+// An average quest of the kind a rule covers, for previews when no real quest matches.
+function examplePenaltyQuest(rule) {
+  const rarity = RARITIES.find((r) => r.id === rule.appliesTo) || RARITIES.find((r) => r.id === 'Rare');
+  const subject = SUBJECTS.includes(rule.appliesTo) ? rule.appliesTo : 'Math';
+  return { title: `a ${rarity.id} ${subject} quest`, rewardExp: Math.round((rarity.rewardRange[0] + rarity.rewardRange[1]) / 2), rarity: rarity.id, subject };
+}
+
+// What a rule would do right now: penalties at the next few strikes for one of
+// the player's quests it covers (an overdue one first), or for an example quest
+// when it covers none, plus the overdue quests it would hit on the next check.
+function previewPenaltyRule(rule, quests, history, now = Date.now()) {
+  const strikes = countStrikes(history, now);
+  const covered = quests.filter((q) => q.dueAt && !q.completed && matchPenaltyRule([{ ...rule, enabled: true }], q));
+  const hit = covered.filter((q) => penaltyIsDue(rule, q, now));
+  const quest = hit[0] || covered[0] || null;
+  const sample = quest || examplePenaltyQuest(rule);
+  const samples = [0, 1, 2].map((i) => computePenalty(rule, sample, strikes + i).amount);
+  const total = hit.reduce((sum, q, i) => sum + computePenalty(rule, q, strikes + i).amount, 0);
+  return { strikes, sample, example: !quest, samples, affected: hit.length, total };
+}
+
+// -------------------- Reward shop --------------------
+// Gold is earned with every claim (GOLD_PER_EXP of the EXP reward) and lost with
+// penalties. Shop items are real-world rewards the player defines; each purchase
+// is a history entry `{ type: 'purchase', id: item.id, gold: -price }`, which is
+// also what cooldowns and daily limits are counted from.
+const GOLD_PER_EXP = 0.2;
+
+function goldFor(exp) {
+  return Math.max(0, Math.round(exp * GOLD_PER_EXP));
+}
+
+// Why an item can't be bought right now, or null when it can.
+function purchaseBlocker(item, gold, history, now = Date.now()) {
+  if (gold < item.price) return `Needs ${item.price - gold} more gold`;
+  const bought = history.filter((h) => h.type === 'purchase' && h.id === item.id);
+  if (item.cooldownHours > 0 && bought.length) {
+    const readyAt = new Date(bought[0].at).getTime() + item.cooldownHours * HOUR_MS;
+    if (now < readyAt) return `On cooldown until ${new Date(readyAt).toLocaleString()}`;
+  }
+  if (item.dailyLimit > 0 && bought.filter((h) => dayKey(h.at) === dayKey(now)).length >= item.dailyLimit) {
+    return `Daily limit of ${item.dailyLimit} reached`;
+  }
+  return null;
+}
+
+// -------------------- Items --------------------
+// Consumables drop from Epic claims and level-ups. Every item is its own inventory
+// entry, so drops and uses on different devices sync item by item; the panel shows
+// consumables stacked by itemId. `target` says which quest, if any, the item has
+// to be used on.
+const ITEM_CATALOG = {
+  exp_potion: { name: 'EXP Potion', icon: '🧪', description: 'Grants 50 EXP plus 10 per level.', target: null },
+  penalty_shield: { name: 'Penalty Shield', icon: '🛡️', description: 'Adds a penalty shield that absorbs the next penalty.', target: null },
+  due_extension: { name: 'Due-date Extension', icon: '⏳', description: "Moves an open quest's due date 24 hours later and resets its penalty strikes.", target: 'due' },
+  reroll: { name: 'Reroll Scroll', icon: '🎲', description: 'Replaces an open generated quest with a new one.', target: 'generated' },
+};
+const ITEM_DROPS = [['exp_potion', 40], ['due_extension', 25], ['penalty_shield', 20], ['reroll', 15]];
+const EXTENSION_HOURS = 24;
+
+function isConsumable(item) {
+  return !!ITEM_CATALOG[item.itemId];
+}
+
+function rollItemDrop(rng = Math.random) {
+  const total = ITEM_DROPS.reduce((s, [, w]) => s + w, 0);
+  let r = rng() * total;
+  const hit = ITEM_DROPS.find(([, w]) => (r -= w) < 0) || ITEM_DROPS[0];
+  return hit[0];
+}
+
+function addItem(inventory, itemId, count = 1, now = new Date().toISOString()) {
+  const def = ITEM_CATALOG[itemId];
+  const added = Array.from({ length: count }, () => ({ id: uid('i_'), itemId, name: def.name, icon: def.icon, description: def.description, obtainedAt: now }));
+  return [...added, ...inventory];
+}
+
+// Uses up the oldest entry of an item.
+function takeItem(inventory, itemId) {
+  const idx = inventory.map((i) => i.itemId).lastIndexOf(itemId);
+  return idx === -1 ? inventory : inventory.filter((_, i) => i !== idx);
+}
+
+// What the Inventory tab shows: consumables grouped by itemId, trophies one by one.
+function stackInventory(inventory) {
+  const stacks = [];
+  const byItem = new Map();
+  inventory.forEach((i) => {
+    const stack = isConsumable(i) && byItem.get(i.itemId);
+    if (stack) {
+      stack.count += 1;
+      if (i.obtainedAt > stack.obtainedAt) stack.obtainedAt = i.obtainedAt;
+    } else if (isConsumable(i)) {
+      byItem.set(i.itemId, { ...i, id: `stack_${i.itemId}`, count: 1 });
+      stacks.push(byItem.get(i.itemId));
+    } else {
+      stacks.push({ ...i, count: 1 });
+    }
+  });
+  return stacks;
+}
+
+function potionExp(level) {
+  return 50 + level * 10;
+}
+
+// Quests an item can be used on; empty for items without a target.
+function itemTargets(itemId, quests) {
+  const target = ITEM_CATALOG[itemId] && ITEM_CATALOG[itemId].target;
+  const open = quests.filter((q) => !q.completed && !q.pendingComplete);
+  if (target === 'due') return open.filter((q) => q.dueAt);
+  if (target === 'generated') return open.filter((q) => q.templateId && !q.chainId && !q.assignmentId);
+  return [];
+}
+
+// -------------------- Achievements --------------------
+// Each achievement is data: a condition over the player's history and progress.
+//   claims   claimed quests, optionally narrowed by subject, rarity or onTime
+//   history  history entries of one type (boss, chain, item, purchase)
+//   level    current level
+//   stat     highest stat, or `stat` when given
+//   streak   best streak in days
+// Unlocks are stored as { [id]: unlockedAt } and never re-lock on their own.
+const ACHIEVEMENTS = [
+  { id: 'first_claim', name: 'First Steps', icon: '👣', description: 'Claim your first quest.', condition: { type: 'claims', goal: 1 } },
+  { id: 'claims_50', name: 'Quest Veteran', icon: '🎖️', description: 'Claim 50 quests.', condition: { type: 'claims', goal: 50 } },
+  { id: 'claims_200', name: 'Unstoppable', icon: '🏅', description: 'Claim 200 quests.', condition: { type: 'claims', goal: 200 } },
+  { id: 'epic_10', name: 'Epic Hunter', icon: '💎', description: 'Complete 10 Epic quests.', condition: { type: 'claims', rarity: 'Epic', goal: 10 } },
+  { id: 'on_time_25', name: 'Punctual', icon: '⏰', description: 'Finish 25 quests before they are due.', condition: { type: 'claims', onTime: true, goal: 25 } },
+  { id: 'coding_25', name: 'Code Monkey', icon: '💻', description: 'Complete 25 Coding quests.', condition: { type: 'claims', subject: 'Coding', goal: 25 } },
+  { id: 'math_25', name: 'Number Cruncher', icon: '🧮', description: 'Complete 25 Math quests.', condition: { type: 'claims', subject: 'Math', goal: 25 } },
+  { id: 'reading_25', name: 'Bookworm', icon: '📚', description: 'Complete 25 Reading quests.', condition: { type: 'claims', subject: 'Reading', goal: 25 } },
+  { id: 'level_10', name: 'Rising Hunter', icon: '⭐', description: 'Reach Level 10.', condition: { type: 'level', goal: 10 } },
+  { id: 'level_25', name: 'Elite Hunter', icon: '🌟', description: 'Reach Level 25.', condition: { type: 'level', goal: 25 } },
+  { id: 'stat_80', name: 'Specialist', icon: '📈', description: 'Raise any stat to 80.', condition: { type: 'stat', goal: 80 } },
+  { id: 'streak_7', name: 'Week Warrior', icon: '🔥', description: 'Keep a 7-day streak.', condition: { type: 'streak', goal: 7 } },
+  { id: 'streak_30', name: 'Habit Formed', icon: '☄️', description: 'Keep a 30-day streak.', condition: { type: 'streak', goal: 30 } },
+  { id: 'boss_1', name: 'Boss Slayer', icon: '🐉', description: 'Defeat a weekly boss.', condition: { type: 'history', entryType: 'boss', goal: 1 } },
+  { id: 'chain_3', name: 'Chain Reaction', icon: '⛓️', description: 'Finish 3 quest chains.', condition: { type: 'history', entryType: 'chain', goal: 3 } },
+];
+
+// Claims carry their rarity since schema 13; older ones borrow it from the quest if it's still around.
+function achievementContext({ history, stats, level, quests, streakBest }) {
+  const rarityOf = new Map(quests.map((q) => [q.id, q.rarity]));
+  const claims = history.filter(isClaimEntry).map((h) => ({ ...h, rarity: h.rarity || rarityOf.get(h.id) || null }));
+  return { history, claims, stats, level, streakBest };
+}
+
+function achievementValue(condition, ctx) {
+  switch (condition.type) {
+    case 'claims':
+      return ctx.claims.filter((h) => (!condition.subject || h.subject === condition.subject)
+        && (!condition.rarity || h.rarity === condition.rarity)
+        && (condition.onTime == null || h.onTime === condition.onTime)).length;
+    case 'history':
+      return ctx.history.filter((h) => h.type === condition.entryType).length;
+    case 'level':
+      return ctx.level;
+    case 'stat':
+      return condition.stat ? ctx.stats[condition.stat] || 0 : Math.max(0, ...Object.values(ctx.stats));
+    case 'streak':
+      return ctx.streakBest;
+    default:
+      return 0;
+  }
+}
+
+function achievementProgress(achievement, ctx) {
+  const goal = achievement.condition.goal;
+  const value = Math.min(goal, achievementValue(achievement.condition, ctx));
+  return { value, goal, done: value >= goal };
+}
+
+// -------------------- Focus timer --------------------
+// One focus session runs at a time. It is stored as { questId, startedAt, accumulatedMs }
+// where startedAt is null while paused, so a running timer keeps counting across reloads.
+// A session never counts for more than one block, so a timer left running in a
+// closed or idle tab can't log hours of focus.
+const FOCUS_BLOCK_MINS = 25; // pomodoro length; the session auto-stops and logs after this
+const FOCUS_MIN_RATIO = 0.5; // quests that require focus can't be completed below this share of estMins
+
+function focusElapsedMs(session, now = Date.now()) {
+  if (!session) return 0;
+  const ms = session.accumulatedMs + (session.startedAt ? now - session.startedAt : 0);
+  return Math.max(0, Math.min(FOCUS_BLOCK_MINS * 60_000, ms));
+}
+
+// Minutes the session would log for a quest if it stopped now.
+function sessionMins(session, questId, now = Date.now()) {
+  return session && session.questId === questId ? Math.round(focusElapsedMs(session, now) / 60_000) : 0;
+}
+
+// Reward share for a quest: full for quests without a focus requirement,
+// otherwise proportional to focused minutes (0 below FOCUS_MIN_RATIO), counting
+// a session that is still running.
+function focusRewardFactor(q, session = null) {
+  if (!q.requireFocus || !q.estMins) return 1;
+  const ratio = ((q.focusMins || 0) + sessionMins(session, q.id)) / q.estMins;
+  if (ratio < FOCUS_MIN_RATIO) return 0;
+  return Math.min(1, ratio);
+}
+
+// A quest needs enough focus to pay anything. A job trial needs JOB_TRIAL_MINS of
+// focus whatever its (editable) fields say.
+function canCompleteQuest(q, session = null) {
+  if (q.jobChange) return (q.focusMins || 0) + sessionMins(session, q.id) >= JOB_TRIAL_MINS;
+  return focusRewardFactor(q, session) > 0;
+}
+
+function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// -------------------- Analytics --------------------
+const ANALYTICS_RANGES = [
+  { id: '7d', label: '7 days', days: 7 },
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '90d', label: '90 days', days: 90 },
+  { id: '365d', label: '1 year', days: 365 },
+  { id: 'all', label: 'All time', days: null },
+  { id: 'custom', label: 'Custom', days: null },
+];
+const HEATMAP_MAX_DAYS = 371;
+
+// Resolves a range id (plus optional custom 'YYYY-MM-DD' bounds) into inclusive day timestamps.
+function analyticsBounds(rangeId, history, custom = {}, now = Date.now()) {
+  const to = startOfDay(now);
+  if (rangeId === 'custom') {
+    const from = custom.from ? startOfDay(new Date(`${custom.from}T00:00`)) : to - 29 * DAY_MS;
+    const end = custom.to ? startOfDay(new Date(`${custom.to}T00:00`)) : to;
+    return { from: Math.min(from, end), to: Math.max(from, end) };
+  }
+  const range = ANALYTICS_RANGES.find((r) => r.id === rangeId) || ANALYTICS_RANGES[1];
+  if (range.days) return { from: startOfDay(shiftDay(to, -(range.days - 1))), to };
+  const earliest = history.reduce((min, h) => Math.min(min, new Date(h.at).getTime()), to);
+  return { from: startOfDay(new Date(earliest)), to };
+}
+
+function historyInRange(history, { from, to }) {
+  return history.filter((h) => {
+    const t = new Date(h.at).getTime();
+    return t >= from && t < to + DAY_MS;
+  });
+}
+
+// EXP gained and lost per day or week, with empty buckets filled in so the axis is continuous.
+function expSeries(entries, { from, to }, bucket = 'day') {
+  const keyOf = bucket === 'week' ? weekKey : dayKey;
+  const buckets = new Map();
+  for (let d = new Date(from); d.getTime() <= to; d = shiftDay(d, bucket === 'week' ? 7 : 1)) {
+    buckets.set(keyOf(d), { name: keyOf(d), gained: 0, lost: 0 });
+  }
+  if (!buckets.has(keyOf(to))) buckets.set(keyOf(to), { name: keyOf(to), gained: 0, lost: 0 });
+  entries.forEach((h) => {
+    const b = buckets.get(keyOf(h.at));
+    if (!b || typeof h.reward !== 'number') return;
+    if (h.reward >= 0) b.gained += h.reward;
+    else b.lost += -h.reward;
+  });
+  return [...buckets.values()];
+}
+
+function subjectBreakdown(entries) {
+  const counts = Object.fromEntries(SUBJECTS.map((s) => [s, 0]));
+  entries.filter(isClaimEntry).forEach((h) => {
+    const key = h.subject || 'Other';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts).map(([subject, count]) => ({ subject, count }));
+}
+
+// Claims made before their due date vs. after it, plus penalties for quests left overdue.
+function punctuality(entries) {
+  const out = { onTime: 0, late: 0, penalized: 0 };
+  entries.forEach((h) => {
+    if (h.type === 'penalty') out.penalized += 1;
+    else if (isClaimEntry(h) && h.onTime === true) out.onTime += 1;
+    else if (isClaimEntry(h) && h.onTime === false) out.late += 1;
+  });
+  return out;
+}
+
+// Claims per day laid out as week columns (Monday first) for the calendar heatmap.
+function activityHeatmap(entries, { from, to }) {
+  const counts = {};
+  entries.filter(isClaimEntry).forEach((h) => { counts[dayKey(h.at)] = (counts[dayKey(h.at)] || 0) + 1; });
+  const start = new Date(`${weekKey(Math.max(from, to - (HEATMAP_MAX_DAYS - 1) * DAY_MS))}T00:00`);
+  const weeks = [];
+  for (let d = start; d.getTime() <= to; d = shiftDay(d, 1)) {
+    if (weeks.length === 0 || weeks[weeks.length - 1].length === 7) weeks.push([]);
+    const key = dayKey(d);
+    weeks[weeks.length - 1].push({ key, count: counts[key] || 0, inRange: d.getTime() >= from });
+  }
+  const max = Math.max(1, ...Object.values(counts));
+  return { weeks, max };
+}
+
+// -------------------- Weekly reports --------------------
+const REPORT_LIMIT = 52;
+
+function weekBounds(week) {
+  const from = new Date(`${week}T00:00`).getTime();
+  return { from, to: shiftDay(from, 6).getTime() };
+}
+
+function shiftWeek(week, weeks) {
+  return weekKey(shiftDay(new Date(`${week}T00:00`), weeks * 7));
+}
+
+// Stats and level are written under the current week whenever they change, so a
+// week's entry holds the values it ended with.
+function recordWeekStats(weekStats, week, stats, level) {
+  const cur = weekStats[week];
+  if (cur && cur.level === level && JSON.stringify(cur.stats) === JSON.stringify(stats)) return weekStats;
+  const next = Object.entries({ ...weekStats, [week]: { stats: { ...stats }, level } })
+    .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+    .slice(0, REPORT_LIMIT + 1);
+  return Object.fromEntries(next);
+}
+
+// Values at the end of `week`: its own entry, or the latest before it when nothing changed that week.
+function weekStatsAt(weekStats, week) {
+  const key = Object.keys(weekStats).filter((k) => k <= week).sort().pop();
+  return key ? weekStats[key] : null;
+}
+
+// Reports for every finished week with activity since the newest filed one, oldest
+// first. Each uses the stats and level recorded for its own week; weeks from before
+// anything was recorded fall back to the current values.
+function missingWeeklyReports({ reports, history, weekStats, stats, level, frozenDays, lastWeek, now }) {
+  const newest = reports.reduce((w, r) => (!w || r.week > w ? r.week : w), null);
+  const earliest = history.reduce((min, h) => Math.min(min, new Date(h.at).getTime()), Infinity);
+  if (!newest && !isFinite(earliest)) return [];
+  const oldest = shiftWeek(lastWeek, -(REPORT_LIMIT - 1));
+  let week = newest ? shiftWeek(newest, 1) : weekKey(earliest);
+  if (week < oldest) week = oldest;
+  let previous = reports.find((r) => r.week === newest) || null;
+  const filed = [];
+  for (; week <= lastWeek; week = shiftWeek(week, 1)) {
+    if (historyInRange(history, weekBounds(week)).length === 0) continue;
+    const before = weekStatsAt(weekStats, shiftWeek(week, -1));
+    const at = weekStatsAt(weekStats, week) || { stats, level };
+    const report = buildWeeklyReport({ week, history, stats: at.stats, level: at.level, frozenDays, previous: before || previous, now });
+    filed.push(report);
+    previous = report;
+  }
+  return filed;
+}
+
+// Summarises one Monday-to-Sunday week of history. Stat changes are measured
+// against the previous report's snapshot when there is one, otherwise they are
+// estimated from the stat bumps claims give.
+function buildWeeklyReport({ week, history, stats, level, frozenDays = [], previous = null, now = Date.now() }) {
+  const bounds = weekBounds(week);
+  const entries = historyInRange(history, bounds);
+  const claims = entries.filter(isClaimEntry);
+  const subjects = {};
+  claims.forEach((h) => { if (h.subject) subjects[h.subject] = (subjects[h.subject] || 0) + 1; });
+  const topSubject = Object.entries(subjects).sort((a, b) => b[1] - a[1])[0];
+
+  let statChanges = {};
+  if (previous && previous.stats) {
+    Object.keys(stats).forEach((k) => { statChanges[k] = (stats[k] || 0) - (previous.stats[k] || 0); });
+  } else {
+    claims.forEach((h) => {
+      const stat = SUBJECT_STATS[h.subject];
+      if (stat) statChanges[stat] = (statChanges[stat] || 0) + 1;
+    });
+  }
+
+  const asOf = Math.min(now, bounds.to + DAY_MS - 1);
+  const streakInfo = computeStreak(history.filter((h) => new Date(h.at).getTime() <= asOf), frozenDays, asOf);
+  return {
+    id: `report_${week}`,
+    week,
+    weekEnd: dayKey(bounds.to),
+    generatedAt: new Date(now).toISOString(),
+    partial: now < bounds.to + DAY_MS,
+    completed: claims.length,
+    expGained: entries.reduce((sum, h) => sum + (h.reward > 0 ? h.reward : 0), 0),
+    expLost: entries.reduce((sum, h) => sum + (h.reward < 0 ? -h.reward : 0), 0),
+    penalties: entries.filter((h) => h.type === 'penalty').length,
+    shielded: entries.filter((h) => h.type === 'shield').length,
+    activeDays: new Set(claims.map((h) => dayKey(h.at))).size,
+    streak: streakInfo.current,
+    bestStreak: streakInfo.best,
+    topSubject: topSubject ? topSubject[0] : null,
+    subjects,
+    level,
+    stats: { ...stats },
+    statChanges,
+  };
+}
+
+function reportToMarkdown(report) {
+  const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+  const lines = [
+    `# Weekly report: ${report.week} to ${report.weekEnd}${report.partial ? ' (in progress)' : ''}`,
+    '',
+    `- Quests completed: ${report.completed}`,
+    `- EXP gained: ${report.expGained}`,
+    `- EXP lost: ${report.expLost}`,
+    `- Penalties: ${report.penalties}${report.shielded ? ` (${report.shielded} shielded)` : ''}`,
+    `- Active days: ${report.activeDays} / 7`,
+    `- Streak: ${report.streak} days (best ${report.bestStreak})`,
+    `- Top subject: ${report.topSubject || 'none'}`,
+    `- Level: ${report.level}`,
+    '',
+    '## Subjects',
+    '',
+    '| Subject | Completed |',
+    '| --- | --- |',
+    ...Object.entries(report.subjects).map(([k, v]) => `| ${k} | ${v} |`),
+    '',
+    '## Stats',
+    '',
+    '| Stat | Value | Change |',
+    '| --- | --- | --- |',
+    ...Object.entries(report.stats).map(([k, v]) => `| ${k} | ${v} | ${signed(report.statChanges[k] || 0)} |`),
+    '',
+  ];
+  return lines.join('\n');
+}
+
+// One row per report so several weeks can be compared in a spreadsheet.
+function reportsToCsv(reports) {
+  const statKeys = Object.keys(DEFAULT_STATS);
+  const header = ['week', 'week_end', 'quests_completed', 'exp_gained', 'exp_lost', 'penalties', 'active_days', 'streak', 'best_streak', 'top_subject', 'level', ...statKeys.map((k) => k.toLowerCase()), ...statKeys.map((k) => `${k.toLowerCase()}_change`)];
+  const rows = reports.map((r) => [
+    r.week, r.weekEnd, r.completed, r.expGained, r.expLost, r.penalties, r.activeDays, r.streak, r.bestStreak, r.topSubject || '', r.level,
+    ...statKeys.map((k) => r.stats[k] ?? ''),
+    ...statKeys.map((k) => r.statChanges[k] || 0),
+  ]);
+  return [header, ...rows].map((row) => row.map((v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v)).join(',')).join('\n');
+}
+
+// -------------------- Save files --------------------
+// Export format: { format, schemaVersion, exportedAt, userId, checksum, data }
+// where checksum is the SHA-256 of JSON.stringify(data).
+const SAVE_FORMAT = 'levelup-academy-save';
+const SAVE_SCHEMA_VERSION = 1;
+
+// crypto.subtle only exists in secure contexts (HTTPS or localhost)
+const CHECKSUM_UNAVAILABLE = 'Save file checksums are unavailable in this browser (open the app over HTTPS or localhost)';
+
+function canChecksum() {
+  return !!(window.crypto && window.crypto.subtle);
+}
+
+async function sha256Hex(text) {
+  if (!canChecksum()) throw new Error(CHECKSUM_UNAVAILABLE);
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(digest);
+}
+
+async function buildSaveFile(userId, profile, record) {
+  const data = {
+    profile,
+    quests: record.quests || [],
+    history: record.history || [],
+    stats: record.stats || {},
+    exp: record.exp || 0,
+    level: record.level || 1,
+    unspent: record.unspent || 0,
+    lastGeneratedAt: record.lastGeneratedAt || null,
+    allocated: record.allocated || {},
+    streak: record.streak || null,
+    customPacks: record.customPacks || [],
+    disabledPacks: record.disabledPacks || [],
+    chains: record.chains || [],
+    boss: record.boss || null,
+    inventory: record.inventory || [],
+    achievements: record.achievements || {},
+    levelCurve: record.levelCurve || { ...DEFAULT_LEVEL_CURVE },
+    job: record.job || { ...DEFAULT_JOB },
+    penaltyRules: record.penaltyRules || [],
+    penaltyShields: record.penaltyShields || 0,
+    gold: record.gold || 0,
+    shopItems: record.shopItems || [],
+    reports: record.reports || [],
+  };
+  const checksum = await sha256Hex(JSON.stringify(data));
+  return { format: SAVE_FORMAT, schemaVersion: SAVE_SCHEMA_VERSION, exportedAt: new Date().toISOString(), userId, checksum, data };
+}
+
+// Returns a list of problems; an empty list means the file can be imported.
+async function validateSaveFile(file) {
+  const errors = [];
+  if (!file || typeof file !== 'object') return ['Not a JSON object'];
+  if (file.format !== SAVE_FORMAT) errors.push('Not a LevelUp Academy save file');
+  if (typeof file.schemaVersion !== 'number') errors.push('Missing schema version');
+  else if (file.schemaVersion > SAVE_SCHEMA_VERSION) errors.push(`Save file is from a newer version (schema ${file.schemaVersion})`);
+  const d = file.data;
+  if (!d || typeof d !== 'object') return [...errors, 'Missing data section'];
+  if (!Array.isArray(d.quests) || d.quests.some((q) => !q || typeof q.id !== 'string' || typeof q.title !== 'string')) errors.push('Quests are malformed');
+  if (!Array.isArray(d.history) || d.history.some((h) => !h || typeof h.at !== 'string')) errors.push('History is malformed');
+  if (!d.stats || typeof d.stats !== 'object' || Object.values(d.stats).some((v) => typeof v !== 'number')) errors.push('Stats are malformed');
+  ['exp', 'level', 'unspent'].forEach((k) => { if (typeof d[k] !== 'number' || !isFinite(d[k]) || d[k] < 0) errors.push(`"${k}" must be a non-negative number`); });
+  if (errors.length === 0 && !canChecksum()) errors.push(CHECKSUM_UNAVAILABLE);
+  else if (errors.length === 0 && (await sha256Hex(JSON.stringify(d))) !== file.checksum) errors.push('Checksum mismatch — the file was modified or is corrupted');
+  return errors;
+}
+
+
+function diffSave(current, incoming) {
+  const localIds = new Set((current.quests || []).map((q) => q.id));
+  const fileIds = new Set(incoming.quests.map((q) => q.id));
+  const localHist = new Set((current.history || []).map(historyKey));
+  return {
+    questsAdded: incoming.quests.filter((q) => !localIds.has(q.id)).length,
+    questsRemoved: (current.quests || []).filter((q) => !fileIds.has(q.id)).length,
+    questsShared: incoming.quests.filter((q) => localIds.has(q.id)).length,
+    historyAdded: incoming.history.filter((h) => !localHist.has(historyKey(h))).length,
+    level: [current.level, incoming.level],
+    exp: [current.exp, incoming.exp],
+    unspent: [current.unspent, incoming.unspent],
+    stats: Object.keys({ ...current.stats, ...incoming.stats })
+      .filter((k) => (current.stats || {})[k] !== incoming.stats[k])
+      .map((k) => ({ stat: k, from: (current.stats || {})[k], to: incoming.stats[k] })),
+  };
+}
+
+// Merge keeps every quest and history entry from both sides (the file wins on
+// matching quest ids) and takes progress from whichever side is further along.
+function mergeRecords(current, incoming) {
+  const quests = [...incoming.quests];
+  const fileIds = new Set(quests.map((q) => q.id));
+  (current.quests || []).forEach((q) => { if (!fileIds.has(q.id)) quests.push(q); });
+
+  const seen = new Set();
+  const history = [...incoming.history, ...(current.history || [])]
+    .filter((h) => (seen.has(historyKey(h)) ? false : seen.add(historyKey(h))))
+    .sort((a, b) => (a.at < b.at ? 1 : -1))
+    .slice(0, HISTORY_LIMIT);
+
+  const fileAhead = incoming.level > current.level || (incoming.level === current.level && incoming.exp > current.exp);
+  const progress = fileAhead ? incoming : current;
+  return {
+    ...current,
+    quests,
+    history,
+    stats: progress.stats,
+    exp: progress.exp,
+    level: progress.level,
+    unspent: progress.unspent,
+    allocated: progress.allocated || {},
+    streak: progress.streak || current.streak,
+    customPacks: [...(incoming.customPacks || []), ...(current.customPacks || []).filter((p) => !(incoming.customPacks || []).some((x) => x.id === p.id))],
+    chains: [...(incoming.chains || []), ...(current.chains || []).filter((c) => !(incoming.chains || []).some((x) => x.id === c.id))],
+    inventory: [...(incoming.inventory || []), ...(current.inventory || []).filter((i) => !(incoming.inventory || []).some((x) => x.id === i.id))],
+    boss: progress.boss || current.boss || null,
+    achievements: { ...(incoming.achievements || {}), ...(current.achievements || {}) },
+    job: progress.job || current.job,
+    levelCurve: progress.levelCurve || current.levelCurve, // the curve belongs with the level it produced
+    gold: progress.gold || 0,
+    shopItems: [...(incoming.shopItems || []), ...(current.shopItems || []).filter((i) => !(incoming.shopItems || []).some((x) => x.id === i.id))],
+    penaltyRules: incoming.penaltyRules && incoming.penaltyRules.length ? incoming.penaltyRules : current.penaltyRules,
+    reports: [...(incoming.reports || []), ...(current.reports || []).filter((r) => !(incoming.reports || []).some((x) => x.week === r.week))]
+      .sort((a, b) => (a.week < b.week ? 1 : -1))
+      .slice(0, REPORT_LIMIT),
+    lastGeneratedAt: [current.lastGeneratedAt, incoming.lastGeneratedAt].filter(Boolean).sort().pop() || null,
+  };
+}
+
+// -------------------- Event log --------------------
+// Every change to gameplay state is recorded as an event holding a diff against
+// the state before it. State = base folded with events[0..cursor); undo/redo just
+// move the cursor and rebuild. Plain values store { from, to }; keyed collections
+// store { upserts, removed, order } so an event only carries the items it touched.
+// The log lives in memory for the session and is capped by count and by size.
+const EVENT_LIMIT = 200;
+const EVENT_LOG_MAX_BYTES = 1024 * 1024;
+const EMPTY_EVENT_LOG = { base: null, events: [], cursor: 0, bytes: 0 };
+const TRACKED_VALUES = ['stats', 'exp', 'level', 'unspent', 'allocated', 'streak', 'boss', 'penaltyShields', 'gold', 'achievements', 'job'];
+const TRACKED_COLLECTIONS = {
+  quests: (q) => q.id,
+  chains: (c) => c.id,
+  inventory: (i) => i.id,
+  history: historyKey, // kept newest-first by `at` instead of storing its order
+};
+const EVENT_LABELS = {
+  create: 'Created',
+  complete: 'Completed',
+  claim: 'Claimed',
+  remove: 'Removed',
+  purchase: 'Bought',
+  item: 'Used',
+  edit: 'Edited',
+  penalty: 'Penalty',
+  'level-up': 'Level up',
+  'stat change': 'Stats',
+  update: 'Updated',
+};
+
+function trackedState(record) {
+  const out = {};
+  [...TRACKED_VALUES, ...Object.keys(TRACKED_COLLECTIONS)].forEach((k) => { out[k] = record[k]; });
+  return out;
+}
+
+function diffState(prev, next) {
+  const changes = {};
+  TRACKED_VALUES.forEach((k) => {
+    if (prev[k] !== next[k] && JSON.stringify(prev[k]) !== JSON.stringify(next[k])) changes[k] = { from: prev[k], to: next[k] };
+  });
+  Object.entries(TRACKED_COLLECTIONS).forEach(([k, keyOf]) => {
+    const before = prev[k] || [];
+    const after = next[k] || [];
+    if (before === after) return;
+    const old = new Map(before.map((x) => [keyOf(x), x]));
+    // items are replaced, never mutated, so a new object means a changed item
+    const upserts = after.filter((x) => old.get(keyOf(x)) !== x);
+    const afterKeys = after.map(keyOf);
+    const kept = new Set(afterKeys);
+    const removed = before.map(keyOf).filter((key) => !kept.has(key));
+    const reordered = k !== 'history' && afterKeys.join('\u0000') !== before.map(keyOf).filter((key) => kept.has(key)).join('\u0000');
+    if (upserts.length || removed.length || reordered) {
+      changes[k] = { upserts, removed, order: k === 'history' ? null : afterKeys };
+    }
+  });
+  return changes;
+}
+
+function applyEvent(state, event) {
+  const next = { ...state };
+  Object.entries(event.changes).forEach(([k, change]) => {
+    const keyOf = TRACKED_COLLECTIONS[k];
+    if (!keyOf) {
+      next[k] = change.to;
+      return;
+    }
+    const items = new Map((state[k] || []).map((x) => [keyOf(x), x]));
+    change.removed.forEach((key) => items.delete(key));
+    change.upserts.forEach((x) => items.set(keyOf(x), x));
+    next[k] = change.order
+      ? change.order.map((key) => items.get(key)).filter(Boolean)
+      : [...items.values()].sort((a, b) => (a.at === b.at ? 0 : a.at < b.at ? 1 : -1));
+  });
+  return next;
+}
+
+function rebuildState(base, events) {
+  return events.reduce(applyEvent, base);
+}
+
+// Best guess for changes no action labelled (e.g. the overdue checker).
+function classifyEvent(changes) {
+  if (changes.level) return 'level-up';
+  if (changes.history && changes.history.upserts.some((h) => h.type === 'penalty')) return 'penalty';
+  if (changes.quests && changes.quests.removed.length) return 'remove';
+  if (changes.stats && Object.keys(changes).length === 1) return 'stat change';
+  return 'update';
+}
+
+// New events drop anything that was undone; the oldest events are folded into the base.
+function appendEvent(log, event) {
+  let base = log.base;
+  let events = [...log.events.slice(0, log.cursor), event];
+  let bytes = events.reduce((sum, ev) => sum + ev.bytes, 0);
+  while (events.length > 1 && (events.length > EVENT_LIMIT || bytes > EVENT_LOG_MAX_BYTES)) {
+    base = applyEvent(base, events[0]);
+    bytes -= events[0].bytes;
+    events = events.slice(1);
+  }
+  return { base, events, cursor: events.length, bytes };
+}
+
+// Follow-up events (e.g. the level-up a claim caused) are undone and redone with the event before them.
+function undoCursor(log) {
+  let cursor = log.cursor;
+  while (cursor > 0 && log.events[cursor - 1].followUp) cursor -= 1;
+  return Math.max(0, cursor - 1);
+}
+
+function redoCursor(log) {
+  let cursor = Math.min(log.events.length, log.cursor + 1);
+  while (cursor < log.events.length && log.events[cursor].followUp) cursor += 1;
+  return cursor;
+}
+
+function describeEvent(event) {
+  return `${EVENT_LABELS[event.type] || event.type}${event.label ? `: ${event.label}` : ''}`;
+}
+
+// -------------------- Sync client --------------------
+// Pushes the synced part of the record to server/sync-server.js and gets the
+// merged result back in one request. Settings live per device under
+// `<LS_ROOT>::sync::<userId>`. Local storage stays the source of truth, so the
+// app works the same offline and a failed sync is simply tried again later.
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const SYNC_TIMEOUT_MS = 10_000;
+const DEFAULT_SYNC_CONFIG = { url: '', token: '', auto: true, lastSyncAt: null, lastError: null };
+
+function loadSyncConfig(userId) {
+  const raw = safeGet(`${LS_ROOT}::sync::${userId}`);
+  if (!raw) return { ...DEFAULT_SYNC_CONFIG };
+  try {
+    return { ...DEFAULT_SYNC_CONFIG, ...JSON.parse(raw) };
+  } catch (e) {
+    return { ...DEFAULT_SYNC_CONFIG };
+  }
+}
+function saveSyncConfig(userId, config) {
+  safeSet(`${LS_ROOT}::sync::${userId}`, JSON.stringify(config));
+}
+
+async function syncWithServer(config, userId, record) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SYNC_TIMEOUT_MS);
+  try {
+    const res = await fetch(`${config.url.replace(/\/+$/, '')}/users/${encodeURIComponent(userId)}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}) },
+      body: JSON.stringify({ record: { ...syncContent(record), syncClock: record.syncClock } }),
+      signal: controller.signal,
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `Sync server answered ${res.status}`);
+    const errors = syncRecordErrors(body.record);
+    if (errors.length) throw new Error(`Sync server sent an invalid record: ${errors.join('; ')}`);
+    return body.record;
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error('Sync server did not answer in time');
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// -------------------- UI Bits --------------------
+function Tabs({ activeTab, onChange, tabs }) {
+  return (
+    <div className="flex gap-2 border-b border-slate-700 pb-2 mb-4">
+      {tabs.map((t) => (
+        <button
+          key={t}
+          onClick={() => onChange(t)}
+          className={`px-3 py-2 rounded-t-md text-sm ${activeTab === t ? 'bg-slate-800 text-emerald-300' : 'bg-slate-700 text-slate-300'}`}>
+          {t}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Task popup shows different kinds: new, reminder, complete, penalty
+function TaskPopup({ payload, onClose, onClaim, onUndo }) {
+  if (!payload) return null;
+  return (
+    <AnimatePresence>
+      <motion.div
+        key={payload.id || 'popup'}
+        initial={{ opacity: 0, y: -30 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: -30 }}
+        transition={{ type: 'spring', stiffness: 120 }}
+        className="fixed right-5 top-6 z-50 w-80 bg-white/5 backdrop-blur-md border border-white/10 rounded-lg shadow-lg p-4"
+      >
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="text-xs text-slate-300">{payload.type === 'new' ? 'New Quest' : payload.type === 'reminder' ? 'Reminder' : payload.type === 'complete' ? 'Quest Completed' : payload.type === 'penalty' ? 'Penalty' : payload.type === 'chain' ? 'Chain Complete' : payload.type === 'boss' ? 'Boss Defeated' : payload.type === 'achievement' ? 'Achievement Unlocked' : 'Notice'}</div>
+            <div className="text-sm font-semibold mt-1">{payload.title}</div>
+            {payload.description && <div className="text-xs text-slate-300 mt-1">{payload.description}</div>}
+          </div>
+          <div className="text-right">
+            {payload.rewardExp != null && <div className="text-sm font-bold text-emerald-300">{payload.rewardExp > 0 ? `+${payload.rewardExp} EXP` : `${payload.rewardExp} EXP`}</div>}
+            <div className="text-xs text-slate-400">{payload.rarity}</div>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-3">
+          {payload.type === 'complete' ? (
+            <>
+              <button className="px-2 py-1 bg-slate-600 rounded text-xs" onClick={onUndo}>Undo</button>
+              <button className="px-2 py-1 bg-emerald-600 rounded text-xs" onClick={onClaim}>Claim</button>
+            </>
+          ) : (
+            <button className="px-2 py-1 bg-slate-700 rounded text-xs" onClick={onClose}>Dismiss</button>
+          )}
+        </div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+// Floating focus timer for the active session
+function FocusTimer({ session, quest, onPause, onResume, onStop, onBlockComplete }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!session || !session.startedAt) return undefined;
+    const iv = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(iv);
+  }, [session]);
+
+  const elapsed = focusElapsedMs(session, now);
+  const blockMs = FOCUS_BLOCK_MINS * 60_000;
+  const blockDone = !!(session && session.startedAt && elapsed >= blockMs);
+
+  // fire once when the block fills up, with whichever handler is current then
+  const onBlockCompleteRef = useRef(onBlockComplete);
+  onBlockCompleteRef.current = onBlockComplete;
+  useEffect(() => {
+    if (blockDone) onBlockCompleteRef.current();
+  }, [blockDone]);
+
+  if (!session || !quest) return null;
+  const loggedMins = quest.focusMins || 0;
+
+  return (
+    <div className="fixed left-1/2 -translate-x-1/2 bottom-5 z-40 w-96 bg-white/5 backdrop-blur-md border border-white/10 rounded-lg shadow-lg p-3">
+      <div className="flex justify-between items-center">
+        <div>
+          <div className="text-xs text-slate-300">Focus {session.startedAt ? '' : '(paused)'}</div>
+          <div className="text-sm font-semibold">{quest.title}</div>
+          <div className="text-xs text-slate-400">Logged {loggedMins} / {quest.estMins} mins</div>
+        </div>
+        <div className="text-2xl font-mono text-emerald-300">{formatClock(blockMs - elapsed)}</div>
+      </div>
+      <div className="flex justify-end gap-2 mt-2">
+        {session.startedAt ? (
+          <button className="px-2 py-1 bg-slate-600 rounded text-xs" onClick={onPause}>Pause</button>
+        ) : (
+          <button className="px-2 py-1 bg-emerald-600 rounded text-xs" onClick={onResume}>Resume</button>
+        )}
+        <button className="px-2 py-1 bg-rose-600 rounded text-xs" onClick={onStop}>Stop & log</button>
+      </div>
+    </div>
+  );
+}
+
+// Export / import dialog for the current user's save file
+function SaveFileDialog({ user, record, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [pending, setPending] = useState(null); // { file, errors, diff }
+
+  async function exportSave() {
+    if (!canChecksum()) return alert(CHECKSUM_UNAVAILABLE);
+    const account = loadUsers()[user.id] || {};
+    const file = await buildSaveFile(user.id, { email: user.email, ...(account.profile || {}) }, record);
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `levelup-${user.id.replace(/[^a-z0-9]+/gi, '_')}-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function pickFile(e) {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!f) return;
+    let file = null;
+    try {
+      file = JSON.parse(await f.text());
+    } catch (err) {
+      setPending({ file: null, errors: ['File is not valid JSON'], diff: null });
+      return;
+    }
+    const errors = await validateSaveFile(file);
+    setPending({ file, errors, diff: errors.length ? null : diffSave(record, file.data) });
+  }
+
+  function apply(mode) {
+    const { profile: importedProfile, ...incoming } = migrateRecord(pending.file.data).record;
+    const next = mode === 'merge' ? mergeRecords(record, incoming) : { ...record, ...incoming };
+    if (importedProfile) {
+      const users = loadUsers();
+      if (users[user.id]) {
+        const { email: _email, ...profile } = importedProfile;
+        users[user.id] = { ...users[user.id], profile: { ...users[user.id].profile, ...profile } };
+        saveUsers(users);
+      }
+    }
+    onApply(next);
+    setPending(null);
+    setOpen(false);
+  }
+
+  const diff = pending && pending.diff;
+
+  return (
+    <div>
+      <button onClick={() => setOpen(true)} className="px-3 py-2 bg-slate-600 rounded">Save File</button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={() => { setOpen(false); setPending(null); }} />
+          <div className="relative bg-slate-900 p-4 rounded w-full max-w-md">
+            <h4 className="text-lg mb-2">Save File</h4>
+            <p className="text-xs text-slate-400 mb-3">Export your progress as JSON, or import a previous export.</p>
+            <div className="flex gap-2 mb-3">
+              <button onClick={exportSave} className="px-3 py-2 bg-emerald-600 rounded">Export</button>
+              <label className="px-3 py-2 bg-slate-600 rounded cursor-pointer">
+                Import…
+                <input type="file" accept="application/json,.json" onChange={pickFile} className="hidden" />
+              </label>
+            </div>
+
+            {pending && pending.errors.length > 0 && (
+              <ul className="text-xs text-rose-300 list-disc pl-5 mb-3">
+                {pending.errors.map((err) => <li key={err}>{err}</li>)}
+              </ul>
+            )}
+
+            {diff && (
+              <div className="text-xs text-slate-300 bg-slate-800 rounded p-3 mb-3 space-y-1">
+                <div>Exported {new Date(pending.file.exportedAt).toLocaleString()} from {pending.file.userId}</div>
+                <div>Level: {diff.level[0]} → {diff.level[1]} • EXP: {diff.exp[0]} → {diff.exp[1]} • Unspent: {diff.unspent[0]} → {diff.unspent[1]}</div>
+                <div>Quests: +{diff.questsAdded} new, {diff.questsShared} shared, {diff.questsRemoved} only here</div>
+                <div>History: +{diff.historyAdded} entries</div>
+                {diff.stats.length > 0 && <div>Stats: {diff.stats.map((d) => `${d.stat} ${d.from ?? '–'} → ${d.to ?? '–'}`).join(', ')}</div>}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button onClick={() => { setOpen(false); setPending(null); }} className="px-3 py-2 bg-slate-600 rounded">Close</button>
+              {diff && <button onClick={() => apply('merge')} className="px-3 py-2 bg-sky-600 rounded">Merge</button>}
+              {diff && <button onClick={() => { if (window.confirm('Replace all local progress with this file?')) apply('replace'); }} className="px-3 py-2 bg-rose-600 rounded">Replace</button>}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Server settings and status for the optional sync
+function SyncDialog({ userId, config, syncing, onChange, onSyncNow }) {
+  const [open, setOpen] = useState(false);
+  const [url, setUrl] = useState(config.url);
+  const [token, setToken] = useState(config.token);
+
+  const status = !config.url ? 'Off' : syncing ? 'Syncing…' : config.lastError ? 'Error' : config.lastSyncAt ? 'Synced' : 'Not synced yet';
+  const dot = !config.url ? 'bg-slate-500' : config.lastError ? 'bg-rose-500' : 'bg-emerald-500';
+
+  function save() {
+    const trimmed = url.trim();
+    if (trimmed && !/^https?:\/\//.test(trimmed)) return alert('The server address should start with http:// or https://');
+    onChange({ url: trimmed, token: token.trim(), lastError: null });
+    setOpen(false);
+  }
+
+  return (
+    <div>
+      <button onClick={() => { setUrl(config.url); setToken(config.token); setOpen(true); }} className="px-3 py-2 bg-slate-600 rounded flex items-center gap-2" title={config.lastError || status}>
+        <span className={`w-2 h-2 rounded-full ${dot}`} /> Sync
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={() => setOpen(false)} />
+          <div className="relative bg-slate-900 p-4 rounded w-full max-w-md space-y-3">
+            <h4 className="text-lg">Sync</h4>
+            <p className="text-xs text-slate-400">Optional. Run <code>npm run sync-server</code> on a machine you control, issue a token for your account with <code>npm run sync-token -- {userId}</code>, and enter both here. Progress stays on this device either way.</p>
+            <input value={url} onChange={(e) => setUrl(e.target.value)} placeholder="http://localhost:8787" className="w-full p-2 bg-slate-800 rounded" />
+            <input type="password" value={token} onChange={(e) => setToken(e.target.value)} placeholder="Your sync token" className="w-full p-2 bg-slate-800 rounded" />
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={config.auto} onChange={(e) => onChange({ auto: e.target.checked })} /> Sync automatically every {SYNC_INTERVAL_MS / 60000} minutes
+            </label>
+            <div className="text-xs text-slate-400">
+              Status: {status}
+              {config.lastSyncAt && ` · last synced ${new Date(config.lastSyncAt).toLocaleString()}`}
+              {config.lastError && <div className="text-rose-400">{config.lastError}</div>}
+            </div>
+            <div className="flex justify-end gap-2">
+              <button onClick={() => setOpen(false)} className="px-3 py-2 bg-slate-600 rounded">Close</button>
+              {config.url && <button onClick={onSyncNow} disabled={syncing} className="px-3 py-2 bg-indigo-600 rounded disabled:opacity-50">Sync now</button>}
+              <button onClick={save} className="px-3 py-2 bg-emerald-600 rounded">Save</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Analytics Panel --------------------
+const PUNCTUALITY_COLORS = { 'On time': '#10b981', Late: '#f59e0b', Penalized: '#f43f5e' };
+
+function heatColor(count, max) {
+  if (!count) return 'bg-slate-800';
+  const ratio = count / max;
+  if (ratio > 0.75) return 'bg-emerald-400';
+  if (ratio > 0.5) return 'bg-emerald-500';
+  if (ratio > 0.25) return 'bg-emerald-700';
+  return 'bg-emerald-900';
+}
+
+function AnalyticsPanel({ history }) {
+  const [rangeId, setRangeId] = useState('30d');
+  const [custom, setCustom] = useState({ from: '', to: '' });
+  const [bucket, setBucket] = useState('day');
+
+  const bounds = analyticsBounds(rangeId, history, custom);
+  const entries = historyInRange(history, bounds);
+  const series = expSeries(entries, bounds, bucket);
+  const subjects = subjectBreakdown(entries);
+  const punct = punctuality(entries);
+  const punctData = [
+    { name: 'On time', value: punct.onTime },
+    { name: 'Late', value: punct.late },
+    { name: 'Penalized', value: punct.penalized },
+  ].filter((d) => d.value > 0);
+  const punctTotal = punct.onTime + punct.late + punct.penalized;
+  const heatmap = activityHeatmap(entries, bounds);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {ANALYTICS_RANGES.map((r) => (
+          <button key={r.id} onClick={() => setRangeId(r.id)} className={`px-3 py-1 rounded ${rangeId === r.id ? 'bg-indigo-600' : 'bg-white/5'}`}>{r.label}</button>
+        ))}
+        {rangeId === 'custom' && (
+          <>
+            <input type="date" value={custom.from} onChange={(e) => setCustom((c) => ({ ...c, from: e.target.value }))} className="p-1 bg-slate-800 rounded" />
+            <span className="text-slate-400">to</span>
+            <input type="date" value={custom.to} onChange={(e) => setCustom((c) => ({ ...c, to: e.target.value }))} className="p-1 bg-slate-800 rounded" />
+          </>
+        )}
+        <span className="ml-auto text-xs text-slate-400">{dayKey(bounds.from)} → {dayKey(bounds.to)} · {entries.length} events</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm text-slate-300">EXP over time</h3>
+            <select value={bucket} onChange={(e) => setBucket(e.target.value)} className="p-1 bg-slate-800 rounded text-xs">
+              <option value="day">Per day</option>
+              <option value="week">Per week</option>
+            </select>
+          </div>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" stroke="#bbb" tick={{ fontSize: 10 }} />
+              <YAxis stroke="#bbb" />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="gained" name="EXP gained" stroke="#00e0a8" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="lost" name="EXP lost" stroke="#ff6b6b" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <h3 className="text-sm text-slate-300 mb-2">Completions by subject</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={subjects}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="subject" stroke="#bbb" tick={{ fontSize: 10 }} />
+              <YAxis stroke="#bbb" allowDecimals={false} />
+              <Tooltip />
+              <Bar dataKey="count" name="Claimed" fill="#818cf8" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <h3 className="text-sm text-slate-300 mb-2">On time vs overdue</h3>
+          {punctTotal === 0 ? (
+            <div className="text-sm text-slate-400 h-[220px] flex items-center justify-center">No quests with due dates in this range</div>
+          ) : (
+            <div className="flex items-center">
+              <ResponsiveContainer width="60%" height={220}>
+                <PieChart>
+                  <Pie data={punctData} dataKey="value" nameKey="name" innerRadius={50} outerRadius={80}>
+                    {punctData.map((d) => <Cell key={d.name} fill={PUNCTUALITY_COLORS[d.name]} />)}
+                  </Pie>
+                  <Tooltip />
+                </PieChart>
+              </ResponsiveContainer>
+              <div className="text-sm space-y-1">
+                <div className="text-2xl font-semibold">{Math.round((punct.onTime / punctTotal) * 100)}%</div>
+                <div className="text-xs text-slate-400">on time</div>
+                {Object.entries({ 'On time': punct.onTime, Late: punct.late, Penalized: punct.penalized }).map(([k, v]) => (
+                  <div key={k} className="text-xs flex items-center gap-2">
+                    <span className="w-2 h-2 rounded-full inline-block" style={{ background: PUNCTUALITY_COLORS[k] }} /> {k}: {v}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <h3 className="text-sm text-slate-300 mb-2">Activity</h3>
+          <div className="flex gap-[3px] overflow-x-auto pb-1">
+            {heatmap.weeks.map((week) => (
+              <div key={week[0].key} className="flex flex-col gap-[3px]">
+                {week.map((day) => (
+                  <div key={day.key} title={`${day.key}: ${day.count} claimed`} className={`w-3 h-3 rounded-sm ${day.inRange ? heatColor(day.count, heatmap.max) : 'bg-transparent'}`} />
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-1 mt-2 text-xs text-slate-400">
+            Less
+            {['bg-slate-800', 'bg-emerald-900', 'bg-emerald-700', 'bg-emerald-500', 'bg-emerald-400'].map((c) => <span key={c} className={`w-3 h-3 rounded-sm inline-block ${c}`} />)}
+            More
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Weekly Reports Panel --------------------
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function ReportsPanel({ reports, current }) {
+  const all = [current, ...reports.filter((r) => r.week !== current.week)];
+  const [selectedWeek, setSelectedWeek] = useState(current.week);
+  const idx = Math.max(0, all.findIndex((r) => r.week === selectedWeek));
+  const report = all[idx];
+  const previous = all[idx + 1] || null;
+
+  const delta = (key) => {
+    if (!previous) return null;
+    const d = report[key] - previous[key];
+    return <span className={`text-xs ml-1 ${d > 0 ? 'text-emerald-400' : d < 0 ? 'text-rose-400' : 'text-slate-500'}`}>{d > 0 ? `+${d}` : d}</span>;
+  };
+
+  return (
+    <div className="grid grid-cols-4 gap-4">
+      <div className="space-y-1">
+        {all.map((r) => (
+          <button key={r.week} onClick={() => setSelectedWeek(r.week)} className={`block w-full text-left px-3 py-2 rounded text-sm ${r.week === report.week ? 'bg-indigo-600' : 'bg-white/5'}`}>
+            {r.week === current.week ? 'This week' : `Week of ${r.week}`}
+            <div className="text-xs text-slate-300">{r.completed} quests · {r.expGained} EXP</div>
+          </button>
+        ))}
+        {reports.length > 0 && (
+          <button onClick={() => downloadText('levelup-weekly-reports.csv', reportsToCsv(all), 'text/csv')} className="w-full px-3 py-2 bg-slate-600 rounded text-sm mt-2">Export all (CSV)</button>
+        )}
+      </div>
+
+      <div className="col-span-3 bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+        <div className="flex justify-between items-center mb-3">
+          <div>
+            <h3 className="text-lg">{report.week} → {report.weekEnd}</h3>
+            <div className="text-xs text-slate-400">{report.partial ? 'In progress' : `Generated ${new Date(report.generatedAt).toLocaleString()}`}{previous && ` · compared with week of ${previous.week}`}</div>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => downloadText(`levelup-report-${report.week}.md`, reportToMarkdown(report), 'text/markdown')} className="px-3 py-1 bg-slate-600 rounded text-sm">Markdown</button>
+            <button onClick={() => downloadText(`levelup-report-${report.week}.csv`, reportsToCsv([report]), 'text/csv')} className="px-3 py-1 bg-slate-600 rounded text-sm">CSV</button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-4 gap-3 mb-4">
+          {[
+            ['Quests completed', 'completed'],
+            ['EXP gained', 'expGained'],
+            ['EXP lost', 'expLost'],
+            ['Penalties', 'penalties'],
+            ['Active days', 'activeDays'],
+            ['Streak', 'streak'],
+            ['Best streak', 'bestStreak'],
+            ['Level', 'level'],
+          ].map(([label, key]) => (
+            <div key={key} className="bg-slate-800 rounded p-2">
+              <div className="text-xs text-slate-400">{label}</div>
+              <div className="text-xl font-semibold">{report[key]}{delta(key)}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 text-sm">
+          <div>
+            <h4 className="text-slate-300 mb-1">Subjects {report.topSubject && <span className="text-xs text-emerald-300">· top: {report.topSubject}</span>}</h4>
+            {Object.keys(report.subjects).length === 0 ? <div className="text-slate-500 text-xs">No quests claimed</div> : (
+              Object.entries(report.subjects).sort((a, b) => b[1] - a[1]).map(([k, v]) => <div key={k} className="flex justify-between"><span>{k}</span><span>{v}</span></div>)
+            )}
+          </div>
+          <div>
+            <h4 className="text-slate-300 mb-1">Stats</h4>
+            {Object.entries(report.stats).map(([k, v]) => {
+              const d = report.statChanges[k] || 0;
+              return <div key={k} className="flex justify-between"><span>{k}</span><span>{v} <span className={d > 0 ? 'text-emerald-400' : d < 0 ? 'text-rose-400' : 'text-slate-500'}>({d > 0 ? `+${d}` : d})</span></span></div>;
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Shop Panel --------------------
+const EMPTY_SHOP_ITEM = { name: '', icon: '🎁', price: 50, cooldownHours: 0, dailyLimit: 0 };
+
+function ShopPanel({ gold, items, history, onBuy, onSaveItem, onDeleteItem }) {
+  const [form, setForm] = useState(null); // item being added or edited
+  const purchases = history.filter((h) => h.type === 'purchase').slice(0, 10);
+
+  function save() {
+    if (!form.name.trim()) return alert('Name the reward');
+    onSaveItem({
+      ...form,
+      id: form.id || uid('shop_'),
+      name: form.name.trim(),
+      icon: form.icon.trim() || '🎁',
+      price: Math.max(1, Math.round(Number(form.price) || 1)),
+      cooldownHours: Math.max(0, Number(form.cooldownHours) || 0),
+      dailyLimit: Math.max(0, Math.round(Number(form.dailyLimit) || 0)),
+      createdAt: form.createdAt || new Date().toISOString(),
+    });
+    setForm(null);
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-xl">Reward Shop</h3>
+          <div className="text-xs text-slate-400">Earn {Math.round(GOLD_PER_EXP * 100)}% of each claim's EXP as gold. Penalties cost gold too.</div>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="text-lg text-amber-300">🪙 {gold}</div>
+          <button onClick={() => setForm({ ...EMPTY_SHOP_ITEM })} className="px-3 py-2 bg-slate-600 rounded">Add reward</button>
+        </div>
+      </div>
+
+      {form && (
+        <div className="bg-white/5 rounded-lg p-3 border border-indigo-500/40 flex flex-wrap items-end gap-2 text-sm">
+          <label className="flex flex-col text-xs text-slate-400">Icon<input value={form.icon} onChange={(e) => setForm({ ...form, icon: e.target.value })} className="w-14 p-2 bg-slate-800 rounded text-white text-sm" /></label>
+          <label className="flex flex-col text-xs text-slate-400 flex-1 min-w-[10rem]">Reward<input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="e.g. 30 min gaming, snack" className="p-2 bg-slate-800 rounded text-white text-sm" /></label>
+          <label className="flex flex-col text-xs text-slate-400">Price<input type="number" min={1} value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} className="w-20 p-2 bg-slate-800 rounded text-white text-sm" /></label>
+          <label className="flex flex-col text-xs text-slate-400">Cooldown (h)<input type="number" min={0} value={form.cooldownHours} onChange={(e) => setForm({ ...form, cooldownHours: e.target.value })} className="w-20 p-2 bg-slate-800 rounded text-white text-sm" /></label>
+          <label className="flex flex-col text-xs text-slate-400">Per day (0 = any)<input type="number" min={0} value={form.dailyLimit} onChange={(e) => setForm({ ...form, dailyLimit: e.target.value })} className="w-20 p-2 bg-slate-800 rounded text-white text-sm" /></label>
+          <button onClick={() => setForm(null)} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
+          <button onClick={save} className="px-3 py-2 bg-emerald-600 rounded">Save</button>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <p className="text-slate-400">No rewards yet — add something you'd like to treat yourself to.</p>
+      ) : (
+        <div className="grid grid-cols-3 gap-3">
+          {items.map((item) => {
+            const blocker = purchaseBlocker(item, gold, history);
+            return (
+              <div key={item.id} className="bg-white/3 backdrop-blur rounded-lg p-3 border border-white/10">
+                <div className="flex justify-between items-start">
+                  <div className="text-3xl">{item.icon}</div>
+                  <div className="flex gap-1">
+                    <button onClick={() => setForm({ ...item })} className="px-2 py-1 bg-slate-700 rounded text-xs">Edit</button>
+                    <button onClick={() => { if (window.confirm(`Remove "${item.name}" from the shop?`)) onDeleteItem(item.id); }} className="px-2 py-1 bg-rose-600 rounded text-xs">✕</button>
+                  </div>
+                </div>
+                <div className="font-medium mt-1">{item.name}</div>
+                <div className="text-xs text-slate-400">
+                  {item.cooldownHours > 0 && `Cooldown ${item.cooldownHours}h`}
+                  {item.cooldownHours > 0 && item.dailyLimit > 0 && ' · '}
+                  {item.dailyLimit > 0 && `Max ${item.dailyLimit}/day`}
+                </div>
+                <button onClick={() => onBuy(item)} disabled={!!blocker} title={blocker || ''} className="mt-2 w-full py-1 bg-amber-600 rounded text-sm disabled:opacity-40">🪙 {item.price}</button>
+                {blocker && <div className="text-xs text-slate-500 mt-1">{blocker}</div>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {purchases.length > 0 && (
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <h3 className="text-sm text-slate-300 mb-2">Recent purchases</h3>
+          <ul className="text-sm text-slate-300 space-y-0.5">
+            {purchases.map((h) => <li key={historyKey(h)}>{h.title} <span className="text-xs text-slate-500">{new Date(h.at).toLocaleString()} · {h.gold} gold</span></li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Inventory Panel --------------------
+function InventoryPanel({ inventory, quests, history, level, onUse, achievements, achievementCtx }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [targetId, setTargetId] = useState('');
+  const stacks = stackInventory(inventory);
+  const selected = stacks.find((i) => i.id === selectedId);
+  const def = selected && ITEM_CATALOG[selected.itemId];
+  const targets = selected ? itemTargets(selected.itemId, quests) : [];
+  const used = history.filter((h) => h.type === 'item').slice(0, 10);
+  const unlockedCount = ACHIEVEMENTS.filter((a) => achievements[a.id]).length;
+
+  function select(item) {
+    setSelectedId(item.id === selectedId ? null : item.id);
+    setTargetId('');
+  }
+
+  function use() {
+    onUse(selected, targetId || null);
+    setTargetId('');
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-xl">Inventory</h3>
+        <div className="text-xs text-slate-400">Epic quests and level-ups drop consumables. Click an item to see what it does.</div>
+      </div>
+
+      {inventory.length === 0 ? (
+        <p className="text-slate-400">No items yet — claim an Epic quest, level up or defeat the weekly boss.</p>
+      ) : (
+        <div className="grid grid-cols-4 gap-3">
+          {stacks.map((item) => (
+            <button key={item.id} onClick={() => select(item)} className={`relative bg-white/3 backdrop-blur rounded-lg p-3 border text-center ${item.id === selectedId ? 'border-indigo-400' : 'border-white/10'}`}>
+              {item.count > 1 && <span className="absolute top-1 right-2 text-xs bg-slate-700 rounded px-1">×{item.count}</span>}
+              <div className="text-3xl">{item.icon}</div>
+              <div className="text-sm font-medium mt-1">{item.name}</div>
+              {!isConsumable(item) && <div className="text-xs text-slate-400">{item.description}</div>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10 space-y-2">
+          <div className="flex items-center gap-3">
+            <div className="text-4xl">{selected.icon}</div>
+            <div>
+              <div className="font-medium">{selected.name}{selected.count > 1 && ` ×${selected.count}`}</div>
+              <div className="text-sm text-slate-400">{selected.description}</div>
+              <div className="text-xs text-slate-500">Last obtained {new Date(selected.obtainedAt).toLocaleString()}</div>
+            </div>
+          </div>
+          {!def && <div className="text-xs text-slate-500">A keepsake — it can't be used.</div>}
+          {def && selected.itemId === 'exp_potion' && <div className="text-xs text-slate-400">At level {level} this grants {potionExp(level)} EXP.</div>}
+          {def && def.target && (targets.length === 0 ? (
+            <div className="text-xs text-slate-500">{def.target === 'due' ? 'No open quest has a due date.' : 'No open generated quest to reroll.'}</div>
+          ) : (
+            <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className="w-full p-2 rounded bg-white/5 text-sm">
+              <option value="">Choose a quest…</option>
+              {targets.map((q) => <option key={q.id} value={q.id}>{q.title}{q.dueAt ? ` (due ${new Date(q.dueAt).toLocaleString()})` : ''}</option>)}
+            </select>
+          ))}
+          {def && (
+            <button onClick={use} disabled={!!def.target && !targetId} className="px-3 py-2 bg-indigo-600 rounded text-sm disabled:opacity-40">Use {selected.name}</button>
+          )}
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-xl">Badges</h3>
+        <div className="text-xs text-slate-400">{unlockedCount} of {ACHIEVEMENTS.length} unlocked</div>
+      </div>
+      <div className="grid grid-cols-3 gap-3">
+        {ACHIEVEMENTS.map((a) => {
+          const unlockedAt = achievements[a.id];
+          const prog = achievementProgress(a, achievementCtx);
+          return (
+            <div key={a.id} className={`bg-white/3 backdrop-blur rounded-lg p-3 border ${unlockedAt ? 'border-amber-400/60' : 'border-white/10'}`}>
+              <div className="flex items-center gap-2">
+                <div className={`text-2xl ${unlockedAt ? '' : 'grayscale opacity-40'}`}>{unlockedAt ? a.icon : '🔒'}</div>
+                <div>
+                  <div className="text-sm font-medium">{a.name}</div>
+                  <div className="text-xs text-slate-400">{a.description}</div>
+                </div>
+              </div>
+              {unlockedAt ? (
+                <div className="text-xs text-amber-300 mt-2">Unlocked {new Date(unlockedAt).toLocaleDateString()}</div>
+              ) : (
+                <>
+                  <div className="mt-2 w-full bg-white/6 rounded-full h-2 overflow-hidden">
+                    <div className="h-2 bg-indigo-400" style={{ width: `${Math.round((prog.value / prog.goal) * 100)}%` }} />
+                  </div>
+                  <div className="text-xs text-slate-500 mt-1">{prog.value} / {prog.goal}</div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {used.length > 0 && (
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <h3 className="text-sm text-slate-300 mb-2">Recently used</h3>
+          <ul className="text-sm text-slate-300 space-y-0.5">
+            {used.map((h) => <li key={historyKey(h)}>{h.title}{h.reward > 0 && ` (+${h.reward} EXP)`} <span className="text-xs text-slate-500">{new Date(h.at).toLocaleString()}</span></li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Leaderboard Panel --------------------
+function LeaderboardPanel({ user }) {
+  const [users, setUsers] = useState(() => loadUsers());
+  const [loaded, setLoaded] = useState(null); // { ids, records: { email: record | { error } } }
+  const me = users[user.id] || {};
+  const settings = me.leaderboard || { optIn: false, alias: '' };
+  const [alias, setAlias] = useState(settings.alias || '');
+
+  const players = Object.values(users).filter((u) => accountRole(u) === 'student' && u.leaderboard && u.leaderboard.optIn);
+  const playerIds = JSON.stringify(players.map((p) => p.email));
+
+  // other players' records are only read here, never written
+  useEffect(() => {
+    let cancelled = false;
+    const ids = JSON.parse(playerIds);
+    Promise.all(ids.map((id) => peekForUser(id).then((rec) => [id, rec], (e) => [id, { error: e.message }])))
+      .then((rows) => { if (!cancelled) setLoaded({ ids: playerIds, records: Object.fromEntries(rows) }); });
+    return () => { cancelled = true; };
+  }, [playerIds]);
+
+  // names and opt-outs come from the live account list; only progress comes from the loaded records
+  const week = weekKey();
+  const previous = weekKey(shiftDay(new Date(`${week}T00:00`), -7));
+  const cutoff = new Date(`${week}T00:00`).getTime();
+  const records = loaded && loaded.ids === playerIds ? loaded.records : null;
+  const ranked = records ? players.filter((acc) => !(records[acc.email] && records[acc.email].error)) : [];
+  const failed = records ? players.filter((acc) => records[acc.email] && records[acc.email].error) : [];
+  const entries = records && ranked.map((acc) => leaderboardEntry(acc, records[acc.email], week));
+  // last week's results, from history before this Monday
+  const lastWeek = ranked.map((acc) => {
+    const rec = records[acc.email];
+    return leaderboardEntry(acc, rec && { ...rec, history: (rec.history || []).filter((h) => new Date(h.at).getTime() < cutoff) }, previous);
+  });
+
+  function updateSettings(patch) {
+    const next = loadUsers();
+    next[user.id] = { ...next[user.id], leaderboard: { ...settings, ...patch } };
+    saveUsers(next);
+    setUsers(next);
+  }
+
+  const weeklyWinner = (boardId) => {
+    const board = LEADERBOARDS.find((b) => b.id === boardId);
+    const top = rankEntries(lastWeek, board)[0];
+    return top && top[board.keys[0][0]] > 0 ? top : null;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10 flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!settings.optIn} onChange={(e) => updateSettings({ optIn: e.target.checked })} />
+          Show me on this device's leaderboard
+        </label>
+        <input value={alias} onChange={(e) => setAlias(e.target.value)} onBlur={() => updateSettings({ alias: alias.trim() })} placeholder={`Display name (default: ${user.email.split('@')[0]})`} className="p-2 bg-slate-800 rounded" />
+        <span className="text-xs text-slate-400">Only accounts that opt in are listed. Untick to hide yourself at any time. Weekly boards reset every Monday.</span>
+      </div>
+
+      {failed.length > 0 && (
+        <div className="text-xs text-rose-400">
+          Left out because their progress could not be read: {failed.map((acc) => `${leaderboardName(acc)} (${records[acc.email].error})`).join(', ')}
+        </div>
+      )}
+
+      {!entries ? (
+        <div className="text-slate-400">Loading…</div>
+      ) : entries.length === 0 ? (
+        <div className="text-slate-400">No one on this device has joined the leaderboard yet.</div>
+      ) : (
+        <div className="grid grid-cols-2 gap-4">
+          {LEADERBOARDS.map((board) => {
+            const winner = (board.id === 'weeklyExp' || board.id === 'quests') && weeklyWinner(board.id);
+            return (
+              <div key={board.id} className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+                <h3 className="text-sm text-slate-300">{board.label}</h3>
+                <div className="text-xs text-slate-500 mb-2">Ties: {board.rule}</div>
+                <ol className="space-y-1 text-sm">
+                  {rankEntries(entries, board).map((e) => (
+                    <li key={e.id} className={`flex justify-between px-2 py-1 rounded ${e.id === user.id ? 'bg-indigo-600/40' : 'bg-white/5'}`}>
+                      <span>{e.rank === 1 ? '🥇' : e.rank === 2 ? '🥈' : e.rank === 3 ? '🥉' : `${e.rank}.`} {e.name}</span>
+                      <span className="text-slate-300">{board.value(e)}</span>
+                    </li>
+                  ))}
+                </ol>
+                {winner && <div className="text-xs text-amber-300 mt-2">Last week: {winner.name} ({board.id === 'quests' ? `${winner.weeklyQuests} quests` : `${winner.weeklyExp} EXP`})</div>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Quest Pack Editor --------------------
+// Editor rows keep every field as text; they are converted back to a template on save.
+function templateToForm(t) {
+  const w = t.rarityWeights || {};
+  return {
+    id: t.id || uid('t_'),
+    subject: t.subject || 'Coding',
+    title: t.title || '',
+    slotsText: formatSlots(t.slots),
+    weights: Object.fromEntries(RARITIES.map((r) => [r.id, w[r.id] != null ? String(w[r.id]) : ''])),
+    rewardMin: t.rewardRange ? String(t.rewardRange[0]) : '',
+    rewardMax: t.rewardRange ? String(t.rewardRange[1]) : '',
+    estMin: t.estMins ? String(t.estMins[0]) : '',
+    estMax: t.estMins ? String(t.estMins[1]) : '',
+  };
+}
+function formToTemplate(f) {
+  const t = { id: f.id, subject: f.subject.trim(), title: f.title.trim() };
+  const slots = parseSlots(f.slotsText);
+  if (Object.keys(slots).length) t.slots = slots;
+  if (Object.values(f.weights).some((v) => v !== '')) t.rarityWeights = Object.fromEntries(Object.entries(f.weights).map(([k, v]) => [k, Number(v) || 0]));
+  if (f.rewardMin !== '' || f.rewardMax !== '') t.rewardRange = [Number(f.rewardMin), Number(f.rewardMax || f.rewardMin)];
+  if (f.estMin !== '' || f.estMax !== '') t.estMins = [Number(f.estMin), Number(f.estMax || f.estMin)];
+  return t;
+}
+
+function PackManager({ customPacks, disabledPacks, onSavePack, onDeletePack, onTogglePack }) {
+  const [open, setOpen] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, name, rows, isNew }
+  const [errors, setErrors] = useState([]);
+  const [importText, setImportText] = useState('');
+
+  const packs = [...BUILT_IN_PACKS, ...customPacks];
+
+  function startEdit(pack, copy = false) {
+    setErrors([]);
+    setEditing({
+      id: copy ? uid('pack_') : pack.id,
+      name: copy ? `${pack.name} (copy)` : pack.name,
+      rows: pack.templates.map(templateToForm),
+      isNew: copy,
+    });
+  }
+
+  function startNew() {
+    setErrors([]);
+    setEditing({ id: uid('pack_'), name: 'New pack', rows: [templateToForm({ subject: 'Coding', title: '' })], isNew: true });
+  }
+
+  function updateRow(idx, patch) {
+    setEditing((e) => ({ ...e, rows: e.rows.map((r, i) => (i === idx ? { ...r, ...patch } : r)) }));
+  }
+
+  function saveEditing() {
+    const pack = { id: editing.id, name: editing.name.trim(), version: 1, templates: editing.rows.map(formToTemplate) };
+    const problems = validatePack(pack);
+    if (pack.templates.length === 0) problems.push('Add at least one template');
+    setErrors(problems);
+    if (problems.length) return;
+    onSavePack(pack);
+    setEditing(null);
+  }
+
+  function importPack() {
+    let pack = null;
+    try {
+      pack = JSON.parse(importText);
+    } catch (e) {
+      setErrors(['Pack JSON could not be parsed']);
+      return;
+    }
+    const problems = validatePack(pack);
+    if (BUILT_IN_PACKS.some((p) => p.id === pack.id)) problems.push(`"${pack.id}" is a built-in pack id`);
+    setErrors(problems);
+    if (problems.length) return;
+    const { builtIn: _builtIn, ...rest } = pack;
+    onSavePack(rest);
+    setImportText('');
+  }
+
+  function exportPack(pack) {
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${pack.id}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function close() {
+    setOpen(false);
+    setEditing(null);
+    setErrors([]);
+  }
+
+  return (
+    <div>
+      <button onClick={() => setOpen(true)} className="px-3 py-2 bg-slate-600 rounded">Packs</button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={close} />
+          <div className="relative bg-slate-900 p-4 rounded w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <datalist id="pack-subjects">
+              {SUBJECTS.map((sub) => <option key={sub} value={sub} />)}
+            </datalist>
+
+            {!editing && (
+              <>
+                <h4 className="text-lg mb-2">Quest Packs</h4>
+                <p className="text-xs text-slate-400 mb-3">The generator draws from every enabled pack.</p>
+                <div className="space-y-2 mb-4">
+                  {packs.map((pack) => (
+                    <div key={pack.id} className="flex justify-between items-center bg-slate-800 rounded p-2">
+                      <label className="flex items-center gap-2 text-sm">
+                        <input type="checkbox" checked={!disabledPacks.includes(pack.id)} onChange={() => onTogglePack(pack.id)} />
+                        <span className="font-medium">{pack.name}</span>
+                        <span className="text-xs text-slate-400">{pack.templates.length} templates{pack.builtIn ? ' • built-in' : ''}</span>
+                      </label>
+                      <div className="flex gap-2">
+                        {pack.builtIn ? (
+                          <button onClick={() => startEdit(pack, true)} className="px-2 py-1 bg-slate-600 rounded text-xs">Copy & edit</button>
+                        ) : (
+                          <>
+                            <button onClick={() => startEdit(pack)} className="px-2 py-1 bg-slate-600 rounded text-xs">Edit</button>
+                            <button onClick={() => exportPack(pack)} className="px-2 py-1 bg-slate-600 rounded text-xs">Export</button>
+                            <button onClick={() => { if (window.confirm(`Delete pack "${pack.name}"?`)) onDeletePack(pack.id); }} className="px-2 py-1 bg-rose-600 rounded text-xs">Delete</button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex gap-2 mb-2">
+                  <button onClick={startNew} className="px-3 py-2 bg-emerald-600 rounded">New pack</button>
+                </div>
+                <textarea value={importText} onChange={(e) => setImportText(e.target.value)} placeholder="Paste pack JSON to import" className="w-full h-24 p-2 bg-slate-800 rounded text-xs font-mono" />
+                <div className="flex justify-end gap-2 mt-2">
+                  <button onClick={importPack} disabled={!importText.trim()} className="px-3 py-2 bg-slate-600 rounded disabled:opacity-40">Import</button>
+                  <button onClick={close} className="px-3 py-2 bg-slate-600 rounded">Close</button>
+                </div>
+              </>
+            )}
+
+            {editing && (
+              <>
+                <h4 className="text-lg mb-2">Edit Pack</h4>
+                <input value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} placeholder="Pack name" className="w-full p-2 mb-2 bg-slate-800 rounded" />
+                <p className="text-xs text-slate-400 mb-2">
+                  Use {'{slot}'} placeholders in titles and define them as <span className="font-mono">n: 5-15; topic: algebra, geometry</span>. Leave weights, reward or minutes empty to use the defaults.
+                </p>
+                <div className="space-y-2">
+                  {editing.rows.map((row, idx) => (
+                    <div key={row.id} className="bg-slate-800 rounded p-2 space-y-1">
+                      <div className="grid grid-cols-4 gap-2">
+                        <input list="pack-subjects" value={row.subject} onChange={(e) => updateRow(idx, { subject: e.target.value })} placeholder="Subject" className="p-1 bg-slate-900 rounded text-sm" />
+                        <input value={row.title} onChange={(e) => updateRow(idx, { title: e.target.value })} placeholder="Title, e.g. Solve {n} {topic} problems" className="col-span-3 p-1 bg-slate-900 rounded text-sm" />
+                      </div>
+                      <input value={row.slotsText} onChange={(e) => updateRow(idx, { slotsText: e.target.value })} placeholder="Slots" className="w-full p-1 bg-slate-900 rounded text-sm font-mono" />
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                        {RARITIES.map((r) => (
+                          <label key={r.id} className="flex items-center gap-1">
+                            {r.id}
+                            <input type="number" min={0} value={row.weights[r.id]} onChange={(e) => updateRow(idx, { weights: { ...row.weights, [r.id]: e.target.value } })} placeholder={String(r.weight)} className="w-14 p-1 bg-slate-900 rounded" />
+                          </label>
+                        ))}
+                        <label className="flex items-center gap-1">
+                          EXP
+                          <input type="number" value={row.rewardMin} onChange={(e) => updateRow(idx, { rewardMin: e.target.value })} placeholder="min" className="w-14 p-1 bg-slate-900 rounded" />
+                          <input type="number" value={row.rewardMax} onChange={(e) => updateRow(idx, { rewardMax: e.target.value })} placeholder="max" className="w-14 p-1 bg-slate-900 rounded" />
+                        </label>
+                        <label className="flex items-center gap-1">
+                          Mins
+                          <input type="number" value={row.estMin} onChange={(e) => updateRow(idx, { estMin: e.target.value })} placeholder="min" className="w-14 p-1 bg-slate-900 rounded" />
+                          <input type="number" value={row.estMax} onChange={(e) => updateRow(idx, { estMax: e.target.value })} placeholder="max" className="w-14 p-1 bg-slate-900 rounded" />
+                        </label>
+                        <div className="flex-1 text-right">
+                          {row.title.trim() && <span className="mr-2">e.g. “{fillPattern(row.title, parseSlots(row.slotsText))}”</span>}
+                          <button onClick={() => setEditing({ ...editing, rows: editing.rows.filter((_, i) => i !== idx) })} className="px-2 py-1 bg-rose-600 rounded text-white">Remove</button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <button onClick={() => setEditing({ ...editing, rows: [...editing.rows, templateToForm({ subject: 'Coding', title: '' })] })} className="mt-2 px-3 py-1 bg-slate-600 rounded text-sm">Add template</button>
+              </>
+            )}
+
+            {errors.length > 0 && (
+              <ul className="text-xs text-rose-300 list-disc pl-5 mt-3">
+                {errors.map((err) => <li key={err}>{err}</li>)}
+              </ul>
+            )}
+
+            {editing && (
+              <div className="flex justify-end gap-2 mt-3">
+                <button onClick={() => { setEditing(null); setErrors([]); }} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
+                <button onClick={saveEditing} className="px-3 py-2 bg-emerald-600 rounded">Save pack</button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-// Task popup shows different kinds: new, reminder, complete, penalty
-function TaskPopup({ payload, onClose, onClaim, onUndo }) {
-  if (!payload) return null;
+// -------------------- Developer panel --------------------
+// Visible in dev builds or with `?dev` in the URL.
+const SHOW_DEV_PANEL = import.meta.env.DEV || (typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('dev'));
+
+function GeneratorDevPanel({ userId, stats, level, history, quests, templates, snapshots, onAdd }) {
+  const [seed, setSeed] = useState(generationSeed(userId, dayKey(Date.now())));
+  const [count, setCount] = useState(4);
+  const [asDaily, setAsDaily] = useState(true);
+  const [result, setResult] = useState(null);
+  const [source, setSource] = useState(null); // the stored snapshot replayed, or null for live inputs
+
+  function replay() {
+    const snap = snapshots.find((x) => x.seed === seed);
+    setSource(snap || null);
+    if (snap) return setResult(generateFromSnapshot(snap));
+    const until = asDaily ? startOfDay() : Date.now();
+    return setResult(generateQuests({ stats, level, history, templates, count: Number(count) || 1, recentTitles: recentQuestTitles(quests, history, until), seed }));
+  }
+
   return (
-    <AnimatePresence>
-      <motion.div
-        key={payload.id || 'popup'}
-        initial={{ opacity: 0, y: -30 }}
-        animate={{ opacity: 1, y: 0 }}
-        exit={{ opacity: 0, y: -30 }}
-        transition={{ type: 'spring', stiffness: 120 }}
-        className="fixed right-5 top-6 z-50 w-80 bg-white/5 backdrop-blur-md border border-white/10 rounded-lg shadow-lg p-4"
-      >
-        <div className="flex justify-between items-start">
-          <div>
-            <div className="text-xs text-slate-300">{payload.type === 'new' ? 'New Quest' : payload.type === 'reminder' ? 'Reminder' : payload.type === 'complete' ? 'Quest Completed' : payload.type === 'penalty' ? 'Penalty' : 'Notice'}</div>
-            <div className="text-sm font-semibold mt-1">{payload.title}</div>
-            {payload.description && <div className="text-xs text-slate-300 mt-1">{payload.description}</div>}
-          </div>
-          <div className="text-right">
-            {payload.rewardExp != null && <div className="text-sm font-bold text-emerald-300">{payload.rewardExp > 0 ? `+${payload.rewardExp} EXP` : `${payload.rewardExp} EXP`}</div>}
-            <div className="text-xs text-slate-400">{payload.rarity}</div>
-          </div>
+    <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+        <h3 className="text-sm text-slate-300 mb-2">Replay quest generation</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <input value={seed} onChange={(e) => setSeed(e.target.value)} list="gen-seeds" className="flex-1 min-w-[16rem] p-2 bg-slate-800 rounded font-mono text-sm" />
+          <datalist id="gen-seeds">
+            {snapshots.map((x) => <option key={x.seed} value={x.seed} />)}
+          </datalist>
+          <input type="number" min={1} value={count} onChange={(e) => setCount(e.target.value)} className="w-20 p-2 bg-slate-800 rounded" />
+          <label className="flex items-center gap-1 text-xs text-slate-300">
+            <input type="checkbox" checked={asDaily} onChange={(e) => setAsDaily(e.target.checked)} />
+            Ignore titles from today
+          </label>
+          <button onClick={replay} className="px-3 py-2 bg-emerald-600 rounded">Replay</button>
         </div>
+        <div className="text-xs text-slate-400 mt-2">
+          Seeds are <span className="font-mono">user:day:run</span> (run is <span className="font-mono">daily</span>, a counter or <span className="font-mono">reroll:&lt;quest&gt;</span>).
+          {' '}The last {GEN_SNAPSHOT_LIMIT} runs store their inputs and replay exactly; other seeds use the current stats, level ({level}), history and enabled packs.
+        </div>
+      </div>
 
-        <div className="flex justify-end gap-2 mt-3">
-          {payload.type === 'complete' ? (
-            <>
-              <button className="px-2 py-1 bg-slate-600 rounded text-xs" onClick={onUndo}>Undo</button>
-              <button className="px-2 py-1 bg-emerald-600 rounded text-xs" onClick={onClaim}>Claim</button>
-            </>
-          ) : (
-            <button className="px-2 py-1 bg-slate-700 rounded text-xs" onClick={onClose}>Dismiss</button>
-          )}
+      {result && (
+        <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm text-slate-300">
+              {result.length} quests
+              <span className="text-xs text-slate-400"> · {source ? `stored inputs from ${new Date(source.now).toLocaleString()}` : 'current inputs'}</span>
+            </h3>
+            <button onClick={() => onAdd(result)} disabled={result.length === 0} className="px-3 py-1 bg-slate-600 rounded text-sm disabled:opacity-40">Add to Quest Log</button>
+          </div>
+          <table className="w-full text-xs">
+            <thead className="text-slate-400 text-left">
+              <tr><th>ID</th><th>Title</th><th>Subject</th><th>Rarity</th><th>EXP</th><th>Mins</th><th>In log</th></tr>
+            </thead>
+            <tbody>
+              {result.map((q) => (
+                <tr key={q.id} className="border-t border-white/5">
+                  <td className="font-mono">{q.id}</td>
+                  <td>{q.title}</td>
+                  <td>{q.subject}</td>
+                  <td>{q.rarity}</td>
+                  <td>{q.rewardExp}</td>
+                  <td>{q.estMins}</td>
+                  <td>{quests.some((x) => x.id === q.id) ? 'yes' : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
-      </motion.div>
-    </AnimatePresence>
+      )}
+    </motion.div>
   );
 }
 
@@ -198,45 +3141,76 @@ function GlassAuth({ onLogin }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirm, setConfirm] = useState('');
-  const [remember, setRemember] = useState(true);
+  const [remember, setRemember] = useState(false); // opt-in: lab machines are shared
 
   useEffect(() => {
     const last = safeGet(`${LS_ROOT}::last_user`);
     if (last) setEmail(last);
   }, []);
 
-  function handleSignup(e) {
+  const [busy, setBusy] = useState(false);
+
+  function finishLogin(id) {
+    clearSession();
+    if (remember) {
+      safeSet(`${LS_ROOT}::last_user`, id);
+      createSession(id);
+    }
+    onLogin({ id, email: id });
+  }
+
+  async function handleSignup(e) {
     e.preventDefault();
     if (!email.trim() || !password) return alert('Provide email and password');
     if (password !== confirm) return alert('Passwords do not match');
+    if (!window.crypto || !window.crypto.subtle) return alert('Secure password hashing is unavailable in this browser');
 
-    const users = loadUsers();
     const id = email.trim().toLowerCase();
-    if (users[id]) return alert('User already exists');
+    if (loadUsers()[id]) return alert('User already exists');
 
+    setBusy(true);
+    let creds;
+    try {
+      creds = await createCredentials(password);
+    } catch (err) {
+      return alert(`Could not create the account: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+    const users = loadUsers();
     users[id] = {
       email: id,
-      password: btoa(password), // simple encode — offline only
+      ...creds,
+      role: isSetupTeacher(id) ? 'teacher' : 'student',
+      ...(isSetupTeacher(id) ? { classes: [] } : {}),
       profile: {
-        stats: { Strength: 40, Agility: 45, Intelligence: 65, Endurance: 50, Perception: 55 },
+        stats: { ...DEFAULT_STATS },
         exp: 0,
         level: 1,
         unspent: 0,
       },
     };
     saveUsers(users);
-    if (remember) safeSet(`${LS_ROOT}::last_user`, id);
-    onLogin({ id, email: id });
+    finishLogin(id);
   }
 
-  function handleLogin(e) {
+  async function handleLogin(e) {
     e.preventDefault();
+    if (!window.crypto || !window.crypto.subtle) return alert('Secure password hashing is unavailable in this browser');
     const users = loadUsers();
     const id = email.trim().toLowerCase();
     if (!users[id]) return alert('No such user — please sign up');
-    if (users[id].password !== btoa(password)) return alert('Wrong password');
-    if (remember) safeSet(`${LS_ROOT}::last_user`, id);
-    onLogin({ id, email: id });
+    setBusy(true);
+    let ok;
+    try {
+      ok = await verifyPassword(users, id, password);
+    } catch (err) {
+      return alert(`Could not check the password: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+    if (!ok) return alert('Wrong password');
+    finishLogin(id);
   }
 
   return (
@@ -259,11 +3233,11 @@ function GlassAuth({ onLogin }) {
 
               <div className="flex items-center gap-2">
                 <input id="remember" checked={remember} onChange={(e) => setRemember(e.target.checked)} type="checkbox" />
-                <label htmlFor="remember" className="text-sm text-slate-300">Remember me (local)</label>
+                <label htmlFor="remember" className="text-sm text-slate-300">Remember me for 7 days</label>
               </div>
 
               <div className="flex gap-2">
-                <button type="submit" className="flex-1 py-2 bg-emerald-600 rounded">{mode === 'login' ? 'Login' : 'Create account'}</button>
+                <button type="submit" disabled={busy} className="flex-1 py-2 bg-emerald-600 rounded disabled:opacity-50">{busy ? 'Please wait…' : mode === 'login' ? 'Login' : 'Create account'}</button>
               </div>
             </form>
           </div>
@@ -276,7 +3250,7 @@ function GlassAuth({ onLogin }) {
               <li>Reminders & penalties for overdue quests</li>
               <li>EXP, levels, and rewards</li>
             </ul>
-            <div className="mt-6 text-xs text-slate-400">Accounts stored locally in your browser (offline). Passwords are encoded for convenience — do not use real-sensitive passwords.</div>
+            <div className="mt-6 text-xs text-slate-400">Accounts stored locally in your browser (offline). Passwords are salted and hashed (PBKDF2) on this device. Don't tick "Remember me" on shared machines.</div>
           </div>
         </div>
       </motion.div>
@@ -285,29 +3259,84 @@ function GlassAuth({ onLogin }) {
 }
 
 // -------------------- Quest Editor --------------------
-function QuestEditor({ onCreate }) {
+const REPEAT_DEFAULTS = {
+  daily: { type: 'daily' },
+  weekdays: { type: 'weekdays', days: [1, 3, 5] },
+  interval: { type: 'interval', every: 2 },
+  monthly: { type: 'monthly', day: 1 },
+};
+
+// Edits a recurrence rule in place; `value` is null for one-off quests.
+function RepeatPicker({ value, onChange }) {
+  const type = value ? value.type : 'none';
+
+  function toggleDay(d) {
+    const days = value.days.includes(d) ? value.days.filter((x) => x !== d) : [...value.days, d];
+    onChange({ ...value, days });
+  }
+
+  return (
+    <div>
+      <select value={type} onChange={(e) => onChange(e.target.value === 'none' ? null : { ...REPEAT_DEFAULTS[e.target.value] })} className="w-full p-2 bg-slate-800 rounded mt-1">
+        <option value="none">Does not repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekdays">On specific weekdays</option>
+        <option value="interval">Every N days</option>
+        <option value="monthly">Monthly</option>
+      </select>
+      {type === 'weekdays' && (
+        <div className="flex gap-1 mt-2">
+          {WEEKDAY_LABELS.map((label, d) => (
+            <button key={label} onClick={() => toggleDay(d)} className={`px-2 py-1 rounded text-xs ${value.days.includes(d) ? 'bg-emerald-600' : 'bg-slate-700'}`}>{label}</button>
+          ))}
+        </div>
+      )}
+      {type === 'interval' && (
+        <div className="flex items-center gap-2 mt-2">
+          <div className="text-slate-400 text-sm">Every</div>
+          <input type="number" min={1} value={value.every} onChange={(e) => onChange({ ...value, every: Math.max(1, Number(e.target.value) || 1) })} className="w-20 p-2 bg-slate-800 rounded" />
+          <div className="text-slate-400 text-sm">days</div>
+        </div>
+      )}
+      {type === 'monthly' && (
+        <div className="flex items-center gap-2 mt-2">
+          <div className="text-slate-400 text-sm">On day</div>
+          <input type="number" min={1} max={31} value={value.day} onChange={(e) => onChange({ ...value, day: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })} className="w-20 p-2 bg-slate-800 rounded" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function QuestEditor({ onCreate, label = 'Create' }) {
   const [open, setOpen] = useState(false);
   const [title, setTitle] = useState('');
   const [subject, setSubject] = useState('Coding');
   const [rarity, setRarity] = useState('Common');
   const [reward, setReward] = useState(40);
   const [dueAt, setDueAt] = useState('');
+  const [repeat, setRepeat] = useState(null);
+  const [requireFocus, setRequireFocus] = useState(false);
 
   function submit() {
     if (!title.trim()) return alert('Enter title');
+    if (repeat && repeat.type === 'weekdays' && repeat.days.length === 0) return alert('Pick at least one weekday');
     const q = {
       id: uid('q_'),
       title: title.trim(),
       description: title.trim(),
       subject,
       rarity,
+      rarityColor: (RARITIES.find((r) => r.id === rarity) || RARITIES[0]).color,
       rewardExp: Number(reward),
       estMins: Math.max(10, Math.round(reward / 2)),
-      repeat: true,
+      repeat,
       completed: false,
       pendingComplete: false,
       reminderNotified: false,
       penaltyApplied: false,
+      focusMins: 0,
+      requireFocus,
       createdAt: new Date().toISOString(),
       dueAt: dueAt ? new Date(dueAt).toISOString() : null,
     };
@@ -315,11 +3344,13 @@ function QuestEditor({ onCreate }) {
     setOpen(false);
     setTitle('');
     setDueAt('');
+    setRepeat(null);
+    setRequireFocus(false);
   }
 
   return (
     <div>
-      <button onClick={() => setOpen(true)} className="px-3 py-2 bg-slate-600 rounded">Create</button>
+      <button onClick={() => setOpen(true)} className="px-3 py-2 bg-slate-600 rounded">{label}</button>
 
       {open && (
         <div className="fixed inset-0 z-50 flex items-center justify-center">
@@ -329,11 +3360,7 @@ function QuestEditor({ onCreate }) {
             <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title" className="w-full p-2 mb-2 bg-slate-800 rounded" />
             <div className="grid grid-cols-2 gap-2 mb-2">
               <select value={subject} onChange={(e) => setSubject(e.target.value)} className="p-2 bg-slate-800 rounded">
-                <option>Coding</option>
-                <option>Math</option>
-                <option>Reading</option>
-                <option>Systems</option>
-                <option>Soft Skills</option>
+                {SUBJECTS.map((sub) => <option key={sub}>{sub}</option>)}
               </select>
               <select value={rarity} onChange={(e) => setRarity(e.target.value)} className="p-2 bg-slate-800 rounded">
                 <option>Common</option>
@@ -349,43 +3376,746 @@ function QuestEditor({ onCreate }) {
               <label className="text-xs text-slate-400">Due (reminder)</label>
               <input type="datetime-local" value={dueAt} onChange={(e) => setDueAt(e.target.value)} className="w-full p-2 bg-slate-800 rounded mt-1" />
             </div>
-            <div className="flex justify-end gap-2">
-              <button onClick={() => setOpen(false)} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
-              <button onClick={submit} className="px-3 py-2 bg-emerald-600 rounded">Create</button>
+            <div className="mb-2">
+              <label className="text-xs text-slate-400">Repeat</label>
+              <RepeatPicker value={repeat} onChange={setRepeat} />
+            </div>
+            <div className="flex items-center gap-2 mb-2">
+              <input id="requireFocus" type="checkbox" checked={requireFocus} onChange={(e) => setRequireFocus(e.target.checked)} />
+              <label htmlFor="requireFocus" className="text-sm text-slate-300">Require focus time (partial reward below the estimate)</label>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button onClick={() => setOpen(false)} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
+              <button onClick={submit} className="px-3 py-2 bg-emerald-600 rounded">Create</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Inline form on a quest card; every editable field of the quest.
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function QuestInlineEdit({ quest, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    title: quest.title,
+    description: quest.description || '',
+    subject: quest.subject,
+    rarity: quest.rarity,
+    rewardExp: quest.rewardExp,
+    estMins: quest.estMins,
+    dueAt: toLocalInput(quest.dueAt),
+    repeat: quest.repeat,
+    requireFocus: !!quest.requireFocus,
+  });
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  function save() {
+    if (!form.title.trim()) return alert('Enter title');
+    if (form.repeat && form.repeat.type === 'weekdays' && form.repeat.days.length === 0) return alert('Pick at least one weekday');
+    const dueAt = form.dueAt ? new Date(form.dueAt).toISOString() : null;
+    const patch = {
+      title: form.title.trim(),
+      description: form.description.trim() || form.title.trim(),
+      subject: form.subject,
+      rarity: form.rarity,
+      rarityColor: (RARITIES.find((r) => r.id === form.rarity) || RARITIES[0]).color,
+      rewardExp: Math.max(0, Number(form.rewardExp) || 0),
+      estMins: Math.max(1, Number(form.estMins) || 1),
+      dueAt,
+      repeat: form.repeat,
+      requireFocus: form.requireFocus,
+    };
+    // a new due date starts reminders and penalties over
+    if (dueAt !== quest.dueAt) Object.assign(patch, { reminderNotified: false, penaltyApplied: false, penaltyCount: 0, lastPenaltyAt: null });
+    onSave(patch);
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <input value={form.title} onChange={(e) => set({ title: e.target.value })} placeholder="Title" className="w-full p-2 bg-slate-800 rounded" />
+      <textarea value={form.description} onChange={(e) => set({ description: e.target.value })} placeholder="Description" rows={2} className="w-full p-2 bg-slate-800 rounded" />
+      <div className="grid grid-cols-4 gap-2">
+        <select value={form.subject} onChange={(e) => set({ subject: e.target.value })} className="p-2 bg-slate-800 rounded">
+          {SUBJECTS.map((sub) => <option key={sub}>{sub}</option>)}
+        </select>
+        <select value={form.rarity} onChange={(e) => set({ rarity: e.target.value })} className="p-2 bg-slate-800 rounded">
+          {RARITIES.map((r) => <option key={r.id}>{r.id}</option>)}
+        </select>
+        <label className="flex items-center gap-1 text-xs text-slate-400"><input type="number" min={0} value={form.rewardExp} onChange={(e) => set({ rewardExp: e.target.value })} className="w-full p-2 bg-slate-800 rounded text-sm text-white" /> EXP</label>
+        <label className="flex items-center gap-1 text-xs text-slate-400"><input type="number" min={1} value={form.estMins} onChange={(e) => set({ estMins: e.target.value })} className="w-full p-2 bg-slate-800 rounded text-sm text-white" /> mins</label>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-xs text-slate-400">Due</label>
+          <input type="datetime-local" value={form.dueAt} onChange={(e) => set({ dueAt: e.target.value })} className="w-full p-2 bg-slate-800 rounded mt-1" />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Repeat</label>
+          <RepeatPicker value={form.repeat} onChange={(repeat) => set({ repeat })} />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-slate-300">
+        <input type="checkbox" checked={form.requireFocus} onChange={(e) => set({ requireFocus: e.target.checked })} /> Require focus time
+      </label>
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="px-3 py-1 bg-slate-600 rounded">Cancel</button>
+        <button onClick={save} className="px-3 py-1 bg-emerald-600 rounded">Save</button>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Penalty Rules Editor --------------------
+function PenaltyRulesEditor({ rules, shields, quests, history, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(rules);
+
+  function update(idx, patch) {
+    setDraft((d) => d.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  }
+
+  function move(idx, delta) {
+    setDraft((d) => {
+      const next = [...d];
+      const [r] = next.splice(idx, 1);
+      next.splice(Math.max(0, Math.min(next.length, idx + delta)), 0, r);
+      return next;
+    });
+  }
+
+  const num = (v) => Math.max(0, Number(v) || 0);
+
+  return (
+    <div>
+      <button onClick={() => { setDraft(rules); setOpen(true); }} className="px-3 py-2 bg-slate-600 rounded">Configure</button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={() => setOpen(false)} />
+          <div className="relative bg-slate-900 p-4 rounded w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h4 className="text-lg mb-1">Penalty Rules</h4>
+            <p className="text-xs text-slate-400 mb-3">The first enabled rule that matches an overdue quest applies. Shields available: {shields}.</p>
+
+            <div className="space-y-3">
+              {draft.map((rule, idx) => {
+                const preview = previewPenaltyRule(rule, quests, history);
+                return (
+                  <div key={rule.id} className={`bg-slate-800 rounded p-3 space-y-2 ${rule.enabled ? '' : 'opacity-80'}`}>
+                    <div className="flex items-center gap-2">
+                      <input type="checkbox" checked={rule.enabled} onChange={(e) => update(idx, { enabled: e.target.checked })} />
+                      <input value={rule.name} onChange={(e) => update(idx, { name: e.target.value })} className="flex-1 p-1 bg-slate-900 rounded text-sm" />
+                      <select value={rule.appliesTo} onChange={(e) => update(idx, { appliesTo: e.target.value })} className="p-1 bg-slate-900 rounded text-sm">
+                        <option value="all">All quests</option>
+                        {RARITIES.map((r) => <option key={r.id} value={r.id}>{r.id} quests</option>)}
+                        {SUBJECTS.map((sub) => <option key={sub} value={sub}>{sub} quests</option>)}
+                      </select>
+                      <button onClick={() => move(idx, -1)} className="px-2 py-1 bg-slate-700 rounded text-xs">↑</button>
+                      <button onClick={() => move(idx, 1)} className="px-2 py-1 bg-slate-700 rounded text-xs">↓</button>
+                      <button onClick={() => setDraft((d) => d.filter((_, i) => i !== idx))} className="px-2 py-1 bg-rose-600 rounded text-xs">✕</button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-slate-300">
+                      <label className="flex items-center gap-1">Grace <input type="number" min={0} value={rule.graceHours} onChange={(e) => update(idx, { graceHours: num(e.target.value) })} className="w-14 p-1 bg-slate-900 rounded" /> h</label>
+                      <label className="flex items-center gap-1">
+                        Lose
+                        <input type="number" min={0} value={rule.amount} onChange={(e) => update(idx, { amount: num(e.target.value) })} className="w-14 p-1 bg-slate-900 rounded" />
+                        <select value={rule.mode} onChange={(e) => update(idx, { mode: e.target.value })} className="p-1 bg-slate-900 rounded">
+                          <option value="percent">% of reward</option>
+                          <option value="flat">EXP</option>
+                        </select>
+                      </label>
+                      <label className="flex items-center gap-1">Repeat every <input type="number" min={0} value={rule.repeatHours} onChange={(e) => update(idx, { repeatHours: num(e.target.value) })} className="w-14 p-1 bg-slate-900 rounded" /> h</label>
+                      <label className="flex items-center gap-1">up to <input type="number" min={0} value={rule.maxRepeats} onChange={(e) => update(idx, { maxRepeats: num(e.target.value) })} className="w-12 p-1 bg-slate-900 rounded" /> more</label>
+                      <label className="flex items-center gap-1">+<input type="number" min={0} value={Math.round(rule.escalation * 100)} onChange={(e) => update(idx, { escalation: num(e.target.value) / 100 })} className="w-14 p-1 bg-slate-900 rounded" />% per strike</label>
+                      <label className="flex items-center gap-1">Stat decay <input type="number" min={0} value={rule.statDecay} onChange={(e) => update(idx, { statDecay: num(e.target.value) })} className="w-12 p-1 bg-slate-900 rounded" /></label>
+                      <label className="flex items-center gap-1"><input type="checkbox" checked={rule.canDelevel} onChange={(e) => update(idx, { canDelevel: e.target.checked })} /> Can cost levels</label>
+                      <label className="flex items-center gap-1"><input type="checkbox" checked={rule.useShields} onChange={(e) => update(idx, { useShields: e.target.checked })} /> Shields exempt</label>
+                    </div>
+                    <div className="text-xs bg-slate-900 rounded p-2 text-slate-300">
+                      <span className="text-slate-400">{rule.enabled ? 'Preview' : 'Preview (not enabled)'}:</span>{' '}
+                      {preview.example
+                        ? `for example (none of your quests with a due date match), ${preview.sample.title} worth ${preview.sample.rewardExp} EXP left ${rule.graceHours}h overdue`
+                        : `"${preview.sample.title}" (${preview.sample.rewardExp} EXP) once overdue`}
+                      {' '}costs {preview.samples.map((a) => `-${a}`).join(' → ')} EXP over the next strikes
+                      {rule.statDecay > 0 && ` and ${rule.statDecay} ${SUBJECT_STATS[preview.sample.subject] || 'stat points'}`}
+                      {rule.canDelevel ? ', and may cost a level' : ''}.
+                      {' '}Right now it would hit {preview.affected} overdue quest{preview.affected === 1 ? '' : 's'} for -{preview.total} EXP
+                      {preview.strikes > 0 && ` (${preview.strikes} strike${preview.strikes === 1 ? '' : 's'} this week)`}.
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <button onClick={() => setDraft((d) => [...d, { ...DEFAULT_PENALTY_RULE, id: uid('pr_'), name: 'New rule', enabled: false }])} className="mt-3 px-3 py-1 bg-slate-600 rounded text-sm">Add rule</button>
+
+            <div className="flex justify-end gap-2 mt-3">
+              <button onClick={() => setOpen(false)} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
+              <button onClick={() => { onSave(draft); setOpen(false); }} className="px-3 py-2 bg-emerald-600 rounded">Save rules</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Level Curve Editor --------------------
+function LevelCurveEditor({ curve, level, locked, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(curve);
+  const [tableText, setTableText] = useState(curve.table.join(', '));
+
+  function edit() {
+    setDraft(curve);
+    setTableText(curve.table.join(', '));
+    setOpen(true);
+  }
+
+  function save() {
+    const table = tableText.split(/[,\s]+/).map(Number).filter((n) => isFinite(n) && n > 0);
+    if (locked) return alert('The levelling curve is locked once EXP has been earned');
+    if (draft.type === 'table' && table.length === 0) return alert('The table needs at least one EXP amount');
+    onSave({ ...draft, table: table.length ? table : curve.table });
+    setOpen(false);
+  }
+
+  const num = (v, min) => Math.max(min, Number(v) || min);
+  const previewCurve = { ...draft, table: tableText.split(/[,\s]+/).map(Number).filter((n) => isFinite(n) && n > 0) };
+  const preview = Array.from({ length: 10 }, (_, i) => level + i);
+
+  return (
+    <div>
+      <button onClick={edit} className="px-3 py-1 bg-slate-600 rounded text-sm">Levelling curve{locked ? ' 🔒' : ''}</button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={() => setOpen(false)} />
+          <div className="relative bg-slate-900 p-4 rounded w-full max-w-lg">
+            <h4 className="text-lg mb-1">Levelling Curve</h4>
+            <p className="text-xs text-slate-400 mb-3">
+              How much EXP each level takes on this profile.
+              {locked ? ' It is locked now that this profile has earned EXP.' : ' It can only be changed until the first EXP is earned.'}
+            </p>
+            <div className="space-y-2 text-sm">
+              <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })} className="w-full p-2 bg-slate-800 rounded">
+                {LEVEL_CURVE_TYPES.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+              {draft.type !== 'table' && (
+                <label className="flex items-center gap-2">Level 1 needs <input type="number" min={1} value={draft.base} onChange={(e) => setDraft({ ...draft, base: num(e.target.value, 1) })} className="w-24 p-1 bg-slate-800 rounded" /> EXP</label>
+              )}
+              {draft.type === 'linear' && (
+                <label className="flex items-center gap-2">plus <input type="number" min={0} value={draft.step} onChange={(e) => setDraft({ ...draft, step: num(e.target.value, 0) })} className="w-24 p-1 bg-slate-800 rounded" /> per level</label>
+              )}
+              {draft.type === 'exponential' && (
+                <label className="flex items-center gap-2">times <input type="number" min={1} step={0.01} value={draft.growth} onChange={(e) => setDraft({ ...draft, growth: num(e.target.value, 1) })} className="w-24 p-1 bg-slate-800 rounded" /> per level</label>
+              )}
+              {draft.type === 'table' && (
+                <label className="block">
+                  <span className="text-xs text-slate-400">EXP for level 1, 2, 3… (the last step repeats past the end)</span>
+                  <input value={tableText} onChange={(e) => setTableText(e.target.value)} className="w-full p-2 bg-slate-800 rounded" />
+                </label>
+              )}
+            </div>
+            <div className="text-xs bg-slate-800 rounded p-2 mt-3 text-slate-300">
+              <span className="text-slate-400">Preview:</span>{' '}
+              {preview.map((lv) => `L${lv}: ${expForLevel(previewCurve, lv)}`).join(' · ')}
+            </div>
+            <div className="flex justify-end gap-2 mt-3">
+              <button onClick={() => setOpen(false)} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
+              <button onClick={save} disabled={locked} className="px-3 py-2 bg-emerald-600 rounded disabled:opacity-40">Save curve</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Chain Editor --------------------
+function ChainEditor({ onCreate, label = 'New Chain' }) {
+  const [open, setOpen] = useState(false);
+  const [title, setTitle] = useState('');
+  const [bonus, setBonus] = useState(100);
+  const [steps, setSteps] = useState([]);
+
+  function newStep(index) {
+    return { key: uid('s_'), title: '', subject: 'Reading', rarity: 'Common', reward: 40, dueAt: '', requires: index > 0 ? [index - 1] : [] };
+  }
+
+  function reset() {
+    setTitle('');
+    setBonus(100);
+    setSteps([newStep(0)]);
+  }
+
+  function updateStep(idx, patch) {
+    setSteps((st) => st.map((x, i) => (i === idx ? { ...x, ...patch } : x)));
+  }
+
+  function toggleRequire(idx, req) {
+    const step = steps[idx];
+    updateStep(idx, { requires: step.requires.includes(req) ? step.requires.filter((r) => r !== req) : [...step.requires, req] });
+  }
+
+  function removeStep(idx) {
+    // drop the step and shift references to later steps down by one
+    setSteps((st) => st
+      .filter((_, i) => i !== idx)
+      .map((x) => ({ ...x, requires: x.requires.filter((r) => r !== idx).map((r) => (r > idx ? r - 1 : r)) })));
+  }
+
+  function submit() {
+    if (!title.trim()) return alert('Enter a chain title');
+    if (steps.length < 2) return alert('A chain needs at least two steps');
+    if (steps.some((st) => !st.title.trim())) return alert('Every step needs a title');
+
+    const chainId = uid('c_');
+    const ids = steps.map(() => uid('q_'));
+    const createdAt = new Date().toISOString();
+    const quests = steps.map((st, i) => {
+      const rarity = RARITIES.find((r) => r.id === st.rarity) || RARITIES[0];
+      return {
+        id: ids[i],
+        title: st.title.trim(),
+        description: `${title.trim()} — step ${i + 1} of ${steps.length}`,
+        subject: st.subject,
+        rarity: rarity.id,
+        rarityColor: rarity.color,
+        rewardExp: Number(st.reward),
+        estMins: Math.max(10, Math.round(st.reward / 2)),
+        repeat: null,
+        completed: false,
+        pendingComplete: false,
+        reminderNotified: false,
+        penaltyApplied: false,
+        focusMins: 0,
+        requireFocus: false,
+        chainId,
+        requires: st.requires.map((r) => ids[r]),
+        createdAt,
+        dueAt: st.dueAt ? new Date(st.dueAt).toISOString() : null,
+      };
+    });
+    onCreate({ id: chainId, title: title.trim(), bonusExp: Math.max(0, Number(bonus) || 0), stepIds: ids, createdAt, completedAt: null }, quests);
+    setOpen(false);
+  }
+
+  return (
+    <div>
+      <button onClick={() => { reset(); setOpen(true); }} className="px-3 py-2 bg-slate-600 rounded">{label}</button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="absolute inset-0 bg-black/60" onClick={() => setOpen(false)} />
+          <div className="relative bg-slate-900 p-4 rounded w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <h4 className="text-lg mb-2">New Quest Chain</h4>
+            <div className="flex gap-2 mb-2">
+              <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Chain title, e.g. Chapter 1" className="flex-1 p-2 bg-slate-800 rounded" />
+              <input type="number" value={bonus} onChange={(e) => setBonus(e.target.value)} className="w-24 p-2 bg-slate-800 rounded" />
+              <div className="text-slate-400 text-sm self-center">Bonus EXP</div>
+            </div>
+
+            <div className="space-y-2">
+              {steps.map((st, idx) => (
+                <div key={st.key} className="bg-slate-800 rounded p-2 space-y-1">
+                  <div className="flex gap-2 items-center">
+                    <div className="text-xs text-slate-400 w-12">Step {idx + 1}</div>
+                    <input value={st.title} onChange={(e) => updateStep(idx, { title: e.target.value })} placeholder="Step title" className="flex-1 p-1 bg-slate-900 rounded text-sm" />
+                    <select value={st.subject} onChange={(e) => updateStep(idx, { subject: e.target.value })} className="p-1 bg-slate-900 rounded text-sm">
+                      {SUBJECTS.map((sub) => <option key={sub}>{sub}</option>)}
+                    </select>
+                    <select value={st.rarity} onChange={(e) => updateStep(idx, { rarity: e.target.value })} className="p-1 bg-slate-900 rounded text-sm">
+                      {RARITIES.map((r) => <option key={r.id}>{r.id}</option>)}
+                    </select>
+                    <input type="number" value={st.reward} onChange={(e) => updateStep(idx, { reward: Number(e.target.value) })} className="w-16 p-1 bg-slate-900 rounded text-sm" />
+                    <button onClick={() => removeStep(idx)} className="px-2 py-1 bg-rose-600 rounded text-xs">✕</button>
+                  </div>
+                  <div className="flex flex-wrap gap-2 items-center text-xs text-slate-400 pl-14">
+                    <input type="datetime-local" value={st.dueAt} onChange={(e) => updateStep(idx, { dueAt: e.target.value })} className="p-1 bg-slate-900 rounded" />
+                    {idx > 0 && <span>After:</span>}
+                    {steps.slice(0, idx).map((prev, pi) => (
+                      <label key={prev.key} className="flex items-center gap-1">
+                        <input type="checkbox" checked={st.requires.includes(pi)} onChange={() => toggleRequire(idx, pi)} />
+                        {pi + 1}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button onClick={() => setSteps((st) => [...st, newStep(st.length)])} className="mt-2 px-3 py-1 bg-slate-600 rounded text-sm">Add step</button>
+
+            <div className="flex justify-end gap-2 mt-3">
+              <button onClick={() => setOpen(false)} className="px-3 py-2 bg-slate-600 rounded">Cancel</button>
+              <button onClick={submit} className="px-3 py-2 bg-emerald-600 rounded">Create chain</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Main App --------------------
+export default function App() {
+  const [user, setUser] = useState(() => {
+    const session = loadSession();
+    if (session) return { id: session.userId, email: session.userId };
+    return null;
+  });
+
+  function logout() {
+    clearSession();
+    setUser(null);
+  }
+
+  return (
+    <>
+      <StorageErrorBanner />
+      {user ? <DashboardLoader key={user.id} user={user} onLogout={logout} /> : <GlassAuth onLogin={setUser} />}
+    </>
+  );
+}
+
+// Shows storage write failures reported through STORAGE_ERROR_EVENT
+function StorageErrorBanner() {
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    function onError(e) {
+      setError(e.detail);
+    }
+    window.addEventListener(STORAGE_ERROR_EVENT, onError);
+    return () => window.removeEventListener(STORAGE_ERROR_EVENT, onError);
+  }, []);
+
+  if (!error) return null;
+  return (
+    <div className="fixed top-0 inset-x-0 z-[60] bg-rose-700/90 text-white text-sm px-4 py-2 flex justify-between items-center">
+      <div>{error.message}</div>
+      <button className="px-2 py-1 bg-rose-900 rounded text-xs" onClick={() => setError(null)}>Dismiss</button>
+    </div>
+  );
+}
+
+// Loads the user's record from storage before mounting the dashboard
+function DashboardLoader({ user, onLogout }) {
+  const [persisted, setPersisted] = useState(null);
+  const [failed, setFailed] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadForUser(user.id)
+      .then((record) => { if (!cancelled) setPersisted(record || {}); })
+      .catch((e) => { if (!cancelled) setFailed(e); });
+    return () => { cancelled = true; };
+  }, [user.id]);
+
+  if (failed) {
+    const corrupt = failed instanceof CorruptRecordError;
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-3 text-slate-300">
+        <div>Could not load your progress: {failed.message}</div>
+        {corrupt && <div className="text-xs text-slate-400 max-w-md text-center">The unreadable data was moved to quarantine so it can be recovered later. You can start over or import a save file from the dashboard.</div>}
+        <div className="flex gap-2">
+          {corrupt && <button onClick={() => { setFailed(null); setPersisted({}); }} className="px-3 py-2 bg-emerald-600 rounded">Start fresh</button>}
+          <button onClick={onLogout} className="px-3 py-2 bg-rose-600 rounded">Logout</button>
+        </div>
+      </div>
+    );
+  }
+  if (!persisted) return <div className="min-h-screen flex items-center justify-center text-slate-400">Loading…</div>;
+  if (accountRole(loadUsers()[user.id]) === 'teacher') return <TeacherDashboard user={user} persisted={persisted} onLogout={onLogout} />;
+  return <Dashboard user={user} persisted={persisted} onLogout={onLogout} />;
+}
+
+// -------------------- Teacher Dashboard --------------------
+function TeacherDashboard({ user, persisted, onLogout }) {
+  const [users, setUsers] = useState(() => loadUsers());
+  const classes = (users[user.id] && users[user.id].classes) || [];
+  const [classId, setClassId] = useState(classes[0] ? classes[0].id : null);
+  // a new teacher starts from an empty record; the migrations fill in its shape
+  const [base] = useState(() => migrateRecord({ ...persisted }).record);
+  const [assignments, setAssignments] = useState(persisted.assignments || []);
+  const [summaries, setSummaries] = useState({}); // studentId -> summary or { error }
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [target, setTarget] = useState([]); // student ids; empty means the whole class
+  const [className, setClassName] = useState('');
+  const [studentEmail, setStudentEmail] = useState('');
+  const [studentPassword, setStudentPassword] = useState('');
+  const [teacherEmail, setTeacherEmail] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const currentClass = classes.find((c) => c.id === classId) || null;
+  const students = classId ? classStudents(users, user.id, classId) : [];
+  const studentIds = JSON.stringify(students.map((st) => st.email));
+  const classAssignments = assignments.filter((a) => a.classId === classId);
+
+  useEffect(() => {
+    // failures are already surfaced by the storage error banner
+    persistForUser(user.id, { ...base, assignments }).catch(() => {});
+  }, [user.id, base, assignments]);
+
+  // students' records are only read here, never written
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(JSON.parse(studentIds).map((id) => peekForUser(id).then((rec) => [id, summarizeStudent(rec)], (e) => [id, { error: e.message }])))
+      .then((rows) => { if (!cancelled) setSummaries(Object.fromEntries(rows)); });
+    return () => { cancelled = true; };
+  }, [studentIds, refreshKey]);
+
+  function updateUsers(mutate) {
+    const next = loadUsers();
+    mutate(next);
+    saveUsers(next);
+    setUsers(next);
+  }
+
+  function addClass() {
+    if (!className.trim()) return alert('Enter a class name');
+    const cls = { id: uid('cls_'), name: className.trim(), createdAt: new Date().toISOString() };
+    updateUsers((u) => { u[user.id] = { ...u[user.id], classes: [...(u[user.id].classes || []), cls] }; });
+    setClassId(cls.id);
+    setClassName('');
+  }
+
+  async function addStudent(e) {
+    e.preventDefault();
+    const id = studentEmail.trim().toLowerCase();
+    if (!classId) return alert('Create a class first');
+    if (!id || !studentPassword) return alert('Provide an email and a starting password');
+    if (loadUsers()[id]) return alert('An account with that email already exists');
+    setBusy(true);
+    let creds;
+    try {
+      creds = await createCredentials(studentPassword);
+    } catch (err) {
+      return alert(`Could not create the student account: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+    updateUsers((u) => {
+      u[id] = { email: id, ...creds, role: 'student', teacherId: user.id, classId, profile: { stats: { ...DEFAULT_STATS }, exp: 0, level: 1, unspent: 0 } };
+    });
+    setStudentEmail('');
+    setStudentPassword('');
+  }
+
+  function promoteTeacher(e) {
+    e.preventDefault();
+    const id = teacherEmail.trim().toLowerCase();
+    const blocker = promotionBlocker(loadUsers(), user.id, id);
+    if (blocker) return alert(blocker);
+    if (!window.confirm(`Make ${id} a teacher? They will be able to create classes and student accounts.`)) return;
+    updateUsers((u) => { u[id] = { ...u[id], role: 'teacher', classes: [] }; });
+    setTeacherEmail('');
+  }
+
+  function assign(kind, payload) {
+    if (!classId) return alert('Create a class first');
+    const a = { id: uid('as_'), kind, teacherId: user.id, classId, studentIds: target.length ? target : null, createdAt: new Date().toISOString(), ...payload };
+    setAssignments((as) => [a, ...as]);
+  }
+
+  function removeAssignment(a) {
+    if (!window.confirm(`Stop assigning "${a.kind === 'chain' ? a.chain.title : a.quest.title}"? Students who already received it keep their copy.`)) return;
+    setAssignments((as) => as.filter((x) => x.id !== a.id));
+  }
+
+  function toggleTarget(id) {
+    setTarget((t) => (t.includes(id) ? t.filter((x) => x !== id) : [...t, id]));
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6">
+      <div className="max-w-6xl mx-auto">
+        <header className="flex items-center justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-bold">LevelUp Academy · Teacher</h1>
+            <div className="text-sm text-slate-400">Signed in as <span className="font-medium">{user.email}</span></div>
+          </div>
+          <button onClick={onLogout} className="px-3 py-2 bg-rose-600 rounded">Logout</button>
+        </header>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {classes.map((c) => (
+            <button key={c.id} onClick={() => { setClassId(c.id); setTarget([]); }} className={`px-3 py-2 rounded ${c.id === classId ? 'bg-indigo-600' : 'bg-white/5'}`}>{c.name}</button>
+          ))}
+          <input value={className} onChange={(e) => setClassName(e.target.value)} placeholder="New class name" className="p-2 bg-slate-800 rounded text-sm" />
+          <button onClick={addClass} className="px-3 py-2 bg-emerald-600 rounded text-sm">Add class</button>
+          <form onSubmit={promoteTeacher} className="flex items-center gap-2 ml-auto">
+            <input value={teacherEmail} onChange={(e) => setTeacherEmail(e.target.value)} placeholder="Existing account email" className="p-2 bg-slate-800 rounded text-sm" />
+            <button type="submit" className="px-3 py-2 bg-slate-600 rounded text-sm">Make teacher</button>
+          </form>
+        </div>
+
+        {!currentClass ? (
+          <p className="text-slate-400">Create a class to add student accounts and assign quests.</p>
+        ) : (
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2 bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-sm text-slate-300">{currentClass.name} · progress (read-only)</h3>
+                <button onClick={() => setRefreshKey((k) => k + 1)} className="px-2 py-1 bg-slate-700 rounded text-xs">Refresh</button>
+              </div>
+              {students.length === 0 ? <div className="text-sm text-slate-400">No students yet.</div> : (
+                <table className="w-full text-sm">
+                  <thead className="text-xs text-slate-400 text-left">
+                    <tr><th className="py-1">Student</th><th>Level</th><th>Streak</th><th>Claimed this week</th><th>Assigned done</th><th>Last active</th><th>Target</th></tr>
+                  </thead>
+                  <tbody>
+                    {students.map((st) => {
+                      const sum = summaries[st.email];
+                      return (
+                        <tr key={st.email} className="border-t border-white/5">
+                          <td className="py-1">{st.email}</td>
+                          {!sum ? <td colSpan={5} className="text-slate-500">Loading…</td> : sum.error ? <td colSpan={5} className="text-rose-400">{sum.error}</td> : (
+                            <>
+                              <td>{sum.level} <span className="text-xs text-slate-400">({sum.exp} EXP)</span></td>
+                              <td>{sum.streak}d</td>
+                              <td>{sum.claimedThisWeek}</td>
+                              <td>{sum.assignedDone} / {sum.assignedTotal}</td>
+                              <td className="text-xs text-slate-400">{sum.lastActive ? new Date(sum.lastActive).toLocaleDateString() : 'never'}</td>
+                            </>
+                          )}
+                          <td><input type="checkbox" checked={target.includes(st.email)} onChange={() => toggleTarget(st.email)} /></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+
+              <div className="flex items-center gap-2 mt-4">
+                <div className="text-sm text-slate-300">Assign to {target.length ? `${target.length} selected student${target.length === 1 ? '' : 's'}` : 'the whole class'}:</div>
+                <QuestEditor label="Assign quest" onCreate={(quest) => assign('quest', { quest })} />
+                <ChainEditor label="Assign chain" onCreate={(chain, steps) => assign('chain', { chain, steps })} />
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <form onSubmit={addStudent} className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10 space-y-2">
+                <h3 className="text-sm text-slate-300">Add student account</h3>
+                <input value={studentEmail} onChange={(e) => setStudentEmail(e.target.value)} placeholder="Student email" className="w-full p-2 bg-slate-800 rounded text-sm" />
+                <input type="password" value={studentPassword} onChange={(e) => setStudentPassword(e.target.value)} placeholder="Starting password" className="w-full p-2 bg-slate-800 rounded text-sm" />
+                <button type="submit" disabled={busy} className="w-full py-2 bg-emerald-600 rounded text-sm disabled:opacity-50">{busy ? 'Please wait…' : 'Create account'}</button>
+              </form>
+
+              <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+                <h3 className="text-sm text-slate-300 mb-2">Assignments</h3>
+                {classAssignments.length === 0 && <div className="text-xs text-slate-500">Nothing assigned yet.</div>}
+                <ul className="space-y-2 text-sm">
+                  {classAssignments.map((a) => {
+                    const recipients = students.filter((st) => isAssignedTo(a, st.email, classId));
+                    const finished = recipients.filter((st) => summaries[st.email] && summaries[st.email].finished && summaries[st.email].finished.includes(a.id)).length;
+                    return (
+                      <li key={a.id} className="flex justify-between items-start gap-2">
+                        <div>
+                          <div>{a.kind === 'chain' ? `⛓ ${a.chain.title}` : a.quest.title}</div>
+                          <div className="text-xs text-slate-400">{a.studentIds ? `${a.studentIds.length} student${a.studentIds.length === 1 ? '' : 's'}` : 'Whole class'} · {finished} / {recipients.length} finished</div>
+                        </div>
+                        <button onClick={() => removeAssignment(a)} className="px-2 py-1 bg-rose-600 rounded text-xs">✕</button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
             </div>
           </div>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 }
 
-// -------------------- Main App --------------------
-export default function App() {
-  const [user, setUser] = useState(() => {
-    try {
-      const last = safeGet(`${LS_ROOT}::last_user`);
-      if (last) return { id: last, email: last };
-      return null;
-    } catch (e) {
-      return null;
-    }
-  });
-
-  return user ? <Dashboard key={user.id} user={user} onLogout={() => setUser(null)} /> : <GlassAuth onLogin={setUser} />;
-}
-
 // -------------------- Dashboard --------------------
-function Dashboard({ user, onLogout }) {
-  const persisted = loadForUser(user.id) || {};
-
+function Dashboard({ user, persisted, onLogout }) {
   const [activeTab, setActiveTab] = useState('Overview');
-  const [stats, setStats] = useState(persisted.stats || { Strength: 40, Agility: 45, Intelligence: 65, Endurance: 50, Perception: 55 });
+
+  // quest log view: inline editing, filters and sort (not persisted)
+  const [editingQuestId, setEditingQuestId] = useState(null);
+  const [questFilter, setQuestFilter] = useState({ search: '', subject: 'all', rarity: 'all', status: 'all', source: 'all', overdue: false });
+  const [questSort, setQuestSort] = useState({ key: 'created', dir: 'desc' });
+  const [stats, setStats] = useState(persisted.stats || { ...DEFAULT_STATS });
   const [quests, setQuests] = useState(persisted.quests || []);
   const [history, setHistory] = useState(persisted.history || []);
   const [exp, setExp] = useState(persisted.exp || 0);
   const [level, setLevel] = useState(persisted.level || 1);
   const [unspent, setUnspent] = useState(persisted.unspent || 0);
+  // points the player has put into each stat (refunded on respec)
+  const [allocated, setAllocated] = useState(persisted.allocated || {});
+  // pending +/- in the Abilities tab, applied on confirm
+  const [draft, setDraft] = useState({});
+
+  // streak bookkeeping (the streak itself is derived from history)
+  const [streak, setStreak] = useState(persisted.streak || { ...DEFAULT_STREAK });
+
+  // focus timer session
+  const [focus, setFocus] = useState(persisted.focus || null);
+  const [lastGeneratedAt, setLastGeneratedAt] = useState(persisted.lastGeneratedAt || null);
+
+  // quest template packs
+  const [customPacks, setCustomPacks] = useState(persisted.customPacks || []);
+  const [disabledPacks, setDisabledPacks] = useState(persisted.disabledPacks || []);
+  const questTemplates = useMemo(() => enabledTemplates(customPacks, disabledPacks), [customPacks, disabledPacks]);
+  // manual generations per day, so each one gets its own seed
+  const [genRuns, setGenRuns] = useState(persisted.genRuns || { day: null, count: 0 });
+
+  // quest chains (their steps live in `quests`)
+  const [chains, setChains] = useState(persisted.chains || []);
+
+  // weekly boss and items it dropped
+  const [boss, setBoss] = useState(persisted.boss || null);
+  const settledBosses = useRef(new Set());
+  const [inventory, setInventory] = useState(persisted.inventory || []);
+
+  // filed weekly reports, newest first
+  const [reports, setReports] = useState(persisted.reports || []);
+  const [weekStats, setWeekStats] = useState(persisted.weekStats || {});
+
+  // teacher assignments already copied into this record
+  const [receivedAssignments, setReceivedAssignments] = useState(persisted.receivedAssignments || []);
+
+  // sync: when each item and block last changed, for last-writer-wins merges (see sync-merge.js)
+  const [syncClock, setSyncClock] = useState(persisted.syncClock || emptySyncClock());
+  const [syncConfig, setSyncConfig] = useState(() => loadSyncConfig(user.id));
+  const [syncing, setSyncing] = useState(false);
+  const stampPrev = useRef(null);
+  const latestRecord = useRef(null);
+  const syncInFlight = useRef(false);
+
+  // event log behind undo/redo (see Event log)
+  const [eventLog, setEventLog] = useState(EMPTY_EVENT_LOG);
+  const pendingEvents = useRef([]);
+  const lastTracked = useRef(null);
+  const replaying = useRef(false);
+
+  // label the next recorded change; actions call this before (or alongside) their setters.
+  // It only touches a ref, so effects can list it without re-running.
+  const recordEvent = useCallback((type, label = '', opts = {}) => {
+    pendingEvents.current.push({ type, label, followUp: !!opts.followUp });
+  }, []);
+
+  // gold and the player's reward shop
+  const [gold, setGold] = useState(persisted.gold || 0);
+  // balance including deductions queued since the last render, so penalties in one tick don't both spend the same gold
+  const goldBalance = useRef(gold);
+  goldBalance.current = gold;
+  const [shopItems, setShopItems] = useState(persisted.shopItems || []);
+
+  // penalty rules and shields
+  const [penaltyRules, setPenaltyRules] = useState(persisted.penaltyRules || [{ ...DEFAULT_PENALTY_RULE }]);
+  const [penaltyShields, setPenaltyShields] = useState(persisted.penaltyShields ?? 1);
+  const [achievements, setAchievements] = useState(persisted.achievements || {});
+  const [levelCurve, setLevelCurve] = useState(persisted.levelCurve || { ...DEFAULT_LEVEL_CURVE });
+  const [job, setJob] = useState(persisted.job || { ...DEFAULT_JOB });
 
   // popup queue
   const [popQueue, setPopQueue] = useState([]);
@@ -395,18 +4125,50 @@ function Dashboard({ user, onLogout }) {
   // level up animation
   const [levelUpActive, setLevelUpActive] = useState(false);
 
-  // generate daily quests (one-time per day)
+  // every generation run stores its inputs under its seed so the Dev panel can replay it
+  const [genSnapshots, setGenSnapshots] = useState(persisted.genSnapshots || []);
+  const runGenerator = useCallback((inputs) => {
+    const snap = generatorSnapshot({ stats, level, history, templates: questTemplates, ...inputs });
+    setGenSnapshots((list) => [snap, ...list.filter((x) => x.seed !== snap.seed)].slice(0, GEN_SNAPSHOT_LIMIT));
+    return generateFromSnapshot(snap);
+  }, [stats, level, history, questTemplates]);
+
+  // generate daily quests (one-time per day); the ref keeps a second run before
+  // lastGeneratedAt lands (StrictMode, a quick re-render) from generating again
+  const generatedFor = useRef(null);
   useEffect(() => {
-    const today = new Date().toISOString().slice(0, 10);
-    const lastGen = persisted.lastGeneratedAt || null;
-    if (lastGen !== today) {
-      const generated = generateQuests({ stats, count: 4 });
-      setQuests((q) => [...generated, ...q]);
-      setPopQueue((q) => [...q, ...generated.map((g) => ({ ...g, type: 'new' }))]);
-      persistForUser(user.id, { ...persisted, quests: [...generated, ...(persisted.quests || [])], lastGeneratedAt: today, stats, exp, level, unspent, history });
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    const today = dayKey(Date.now());
+    if (lastGeneratedAt === today || generatedFor.current === today) return;
+    generatedFor.current = today;
+    const generated = runGenerator({ count: 4, recentTitles: recentQuestTitles(quests, history, startOfDay()), seed: generationSeed(user.id, today) });
+    recordEvent('create', 'Daily quests');
+    setQuests((q) => [...generated, ...q]);
+    setPopQueue((q) => [...q, ...generated.map((g) => ({ ...g, type: 'new' }))]);
+    setLastGeneratedAt(today);
+  }, [lastGeneratedAt, quests, history, user.id, runGenerator, recordEvent]);
+
+  // pull quests and chains the student's teacher assigned since the last visit
+  useEffect(() => {
+    const account = loadUsers()[user.id];
+    if (!account || !account.teacherId) return;
+    let cancelled = false;
+    peekForUser(account.teacherId)
+      .then((teacherRecord) => {
+        if (cancelled || !teacherRecord) return;
+        const pending = (teacherRecord.assignments || []).filter((a) => isAssignedTo(a, user.id, account.classId) && !receivedAssignments.includes(a.id));
+        if (pending.length === 0) return;
+        const delivered = pending.map(materializeAssignment);
+        const newQuests = delivered.flatMap((d) => d.quests);
+        recordEvent('create', `${pending.length} assignment${pending.length === 1 ? '' : 's'} from ${account.teacherId}`);
+        setQuests((qs) => [...newQuests, ...qs]);
+        setChains((cs) => [...delivered.map((d) => d.chain).filter(Boolean), ...cs]);
+        setReceivedAssignments((ids) => [...ids, ...pending.map((a) => a.id)]);
+        setPopQueue((p) => [...p, ...newQuests.filter((q) => !q.requires || q.requires.length === 0).map((q) => ({ ...q, type: 'new' }))]);
+      })
+      .catch((e) => { if (!cancelled) reportStorageError(new StorageError(`Could not load your teacher's assignments: ${e.message}`, e)); });
+    return () => { cancelled = true; };
+    // runs again when received ids change (sync, import) and then finds nothing new
+  }, [user.id, receivedAssignments, recordEvent]);
 
   // popup queue handler
   useEffect(() => {
@@ -432,7 +4194,7 @@ function Dashboard({ user, onLogout }) {
 
       // reminders: if due within next 60 seconds and not yet notified
       newQuests.forEach((q) => {
-        if (!q.dueAt || q.completed) return;
+        if (!q.dueAt || q.completed || isQuestLocked(q, newQuests)) return;
         const due = new Date(q.dueAt).getTime();
         if (!q.reminderNotified && due - now <= 60_000 && due - now > -60_000) {
           setPopQueue((p) => [...p, { ...q, type: 'reminder' }]);
@@ -441,21 +4203,71 @@ function Dashboard({ user, onLogout }) {
         }
       });
 
-      // penalties: if overdue by 24h and not yet penalized
-      const PENALTY_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+      // recurrence: once a completed instance's next occurrence day begins, spawn it
+      const spawned = [];
       newQuests.forEach((q) => {
-        if (!q.dueAt || q.completed || q.penaltyApplied) return;
-        const due = new Date(q.dueAt).getTime();
-        if (now - due >= PENALTY_WINDOW) {
-          // apply penalty: subtract 30% of reward from player exp
-          const penalty = Math.round((q.rewardExp || 0) * 0.3);
-          setExp((prev) => Math.max(0, prev - penalty));
-          q.penaltyApplied = true;
-          setHistory((h) => [{ id: q.id, title: `Penalty: ${q.title}`, reward: -penalty, at: new Date().toISOString() }, ...h].slice(0, 200));
-          setPopQueue((p) => [...p, { ...q, type: 'penalty', rewardExp: -penalty }]);
+        if (!q.completed || q.rolledOver || !q.nextDueAt || !normalizeRepeat(q.repeat)) return;
+        const dayStart = new Date(q.nextDueAt);
+        dayStart.setHours(0, 0, 0, 0);
+        if (now >= dayStart.getTime()) {
+          const next = spawnOccurrence(q);
+          spawned.push(next);
+          setPopQueue((p) => [...p, { ...next, type: 'new' }]);
+          q.rolledOver = true;
           updated = true;
         }
       });
+      if (spawned.length) newQuests = [...spawned, ...newQuests];
+
+      // penalties: decided by the player's penalty rules
+      let strikes = countStrikes(history, now);
+      let shields = penaltyShields;
+      newQuests.forEach((q) => {
+        if (!q.dueAt || q.completed || isQuestLocked(q, newQuests)) return;
+        const rule = matchPenaltyRule(penaltyRules, q);
+        if (!rule || !penaltyIsDue(rule, q, now)) return;
+        q.penaltyCount = (q.penaltyCount || (q.penaltyApplied ? 1 : 0)) + 1;
+        q.lastPenaltyAt = new Date(now).toISOString();
+        q.penaltyApplied = true;
+        updated = true;
+        if (rule.useShields && shields > 0) {
+          shields -= 1;
+          setPenaltyShields(shields);
+          setHistory((h) => [{ id: q.id, type: 'shield', title: `Shielded: ${q.title}`, reward: 0, at: new Date(now).toISOString() }, ...h].slice(0, HISTORY_LIMIT));
+          setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: 'Penalty shield used', description: `"${q.title}" is overdue — a shield absorbed the penalty.` }]);
+          return;
+        }
+        const { amount, statDecay } = computePenalty(rule, q, strikes);
+        strikes += 1;
+        applyPenalty({ source: q, title: q.title, amount, allowDelevel: rule.canDelevel, decayStat: statDecay ? SUBJECT_STATS[q.subject] : null, statDecay });
+      });
+
+      // weekly boss: settle last week's boss and spawn this week's
+      const week = weekKey(now);
+      if (!boss || boss.week !== week) {
+        // the checker can run twice on the same stale boss (StrictMode, a re-render
+        // before setBoss lands); each boss is settled once
+        if (boss && !boss.defeatedAt && !settledBosses.current.has(boss.id)) {
+          settledBosses.current.add(boss.id);
+          applyPenalty({ source: { id: boss.id, rarity: 'Epic', description: 'The weekly boss was not defeated in time.' }, title: `${boss.name} escaped`, amount: bossPenalty(boss) });
+        }
+        setBoss((b) => (b && b.week === week ? b : spawnBoss(user.id, week, level)));
+      }
+
+      // weekly reports: file every finished week that has none yet
+      const filed = missingWeeklyReports({ reports, history, weekStats, stats, level, frozenDays: streak.frozenDays, lastWeek: shiftWeek(week, -1), now });
+      if (filed.length > 0) {
+        const weeks = new Set(filed.map((r) => r.week));
+        setReports((rs) => [...filed.reverse(), ...rs.filter((r) => !weeks.has(r.week))].slice(0, REPORT_LIMIT));
+        const latest = filed[0];
+        const notice = {
+          id: `n_report_${latest.week}`,
+          type: 'notice',
+          title: filed.length > 1 ? `${filed.length} weekly reports ready` : 'Weekly report ready',
+          description: `${latest.completed} quests and ${latest.expGained} EXP in the week of ${latest.week}. See the Reports tab.`,
+        };
+        setPopQueue((p) => (p.some((x) => x.id === notice.id) ? p : [...p, notice]));
+      }
 
       if (updated) setQuests(newQuests);
     }
@@ -464,53 +4276,454 @@ function Dashboard({ user, onLogout }) {
     // run once immediately
     checkAll();
     return () => clearInterval(iv);
-  }, [quests]);
+  }, [quests, boss, penaltyRules, penaltyShields, history, reports, weekStats]);
+
+  // shared path for every penalty: EXP loss, history entry and popup
+  function applyPenalty({ source, title, amount, allowDelevel = false, decayStat = null, statDecay = 0 }) {
+    recordEvent('penalty', title);
+    // negative exp is resolved into lost levels by the levelling effect
+    setExp((prev) => (allowDelevel ? prev - amount : Math.max(0, prev - amount)));
+    if (decayStat && statDecay) setStats((st) => ({ ...st, [decayStat]: Math.max(0, (st[decayStat] || 0) - statDecay) }));
+    const goldLost = Math.max(0, Math.min(goldBalance.current, goldFor(amount)));
+    goldBalance.current -= goldLost;
+    setGold((g) => Math.max(0, g - goldLost));
+    setHistory((h) => [{ id: source.id, type: 'penalty', title: `Penalty: ${title}`, reward: -amount, gold: -goldLost, at: new Date().toISOString() }, ...h].slice(0, HISTORY_LIMIT));
+    setPopQueue((p) => [...p, { ...source, title, type: 'penalty', rewardExp: -amount }]);
+  }
 
   // persist on changes
+  const record = useMemo(
+    () => ({ schemaVersion: RECORD_SCHEMA_VERSION, quests, history, stats, exp, level, unspent, allocated, streak, focus, lastGeneratedAt, customPacks, disabledPacks, genRuns, chains, boss, inventory, achievements, levelCurve, job, penaltyRules, penaltyShields, gold, shopItems, reports, receivedAssignments, syncClock, genSnapshots, weekStats }),
+    [quests, history, stats, exp, level, unspent, allocated, streak, focus, lastGeneratedAt, customPacks, disabledPacks, genRuns, chains, boss, inventory, achievements, levelCurve, job, penaltyRules, penaltyShields, gold, shopItems, reports, receivedAssignments, syncClock, genSnapshots, weekStats],
+  );
   useEffect(() => {
-    persistForUser(user.id, { quests, history, stats, exp, level, unspent, lastGeneratedAt: persisted.lastGeneratedAt || null });
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [quests, history, stats, exp, level, unspent]);
+    // failures are already surfaced by the storage error banner
+    persistForUser(user.id, record).catch(() => {});
+  }, [user.id, record]);
 
-  // leveling logic
+  // stamp every synced change with the time it happened on this device; a
+  // change to a field that isn't synced stamps nothing
+  const synced = useMemo(() => syncContent(record), [record]);
+  latestRecord.current = record;
+  useEffect(() => {
+    const prev = stampPrev.current;
+    stampPrev.current = synced;
+    if (!prev) return;
+    setSyncClock((c) => stampSyncClock(c, prev, synced));
+  }, [synced]);
+
+  useEffect(() => {
+    saveSyncConfig(user.id, syncConfig);
+  }, [user.id, syncConfig]);
+
+  async function runSync() {
+    if (!syncConfig.url || syncInFlight.current) return;
+    syncInFlight.current = true;
+    setSyncing(true);
+    try {
+      const remote = await syncWithServer(syncConfig, user.id, latestRecord.current);
+      // merge again in case something changed while the request was out
+      const current = latestRecord.current;
+      const merged = mergeSynced(current, remote);
+      if (JSON.stringify(syncContent(merged)) !== JSON.stringify(syncContent(current))) applySynced(merged);
+      else setSyncClock(merged.syncClock);
+      setSyncConfig((c) => ({ ...c, lastSyncAt: new Date().toISOString(), lastError: null }));
+    } catch (e) {
+      setSyncConfig((c) => ({ ...c, lastError: navigator.onLine === false ? 'Offline — will retry when the connection is back' : e.message }));
+    } finally {
+      syncInFlight.current = false;
+      setSyncing(false);
+    }
+  }
+
+  // take the merged result without stamping it as a local change. It is not
+  // undoable either: undoing it would stamp the old values as new local changes
+  // and push them over the other device's data, so the undo log restarts from it.
+  function applySynced(merged) {
+    const next = {
+      ...merged,
+      stats: merged.stats || { ...DEFAULT_STATS },
+      allocated: merged.allocated || {},
+      streak: merged.streak || { ...DEFAULT_STREAK },
+      penaltyRules: merged.penaltyRules || [{ ...DEFAULT_PENALTY_RULE }],
+      genRuns: merged.genRuns || { day: null, count: 0 },
+      achievements: merged.achievements || {},
+      job: merged.job || { ...DEFAULT_JOB },
+      levelCurve: merged.levelCurve || { ...DEFAULT_LEVEL_CURVE },
+      gold: merged.gold || 0,
+      shopItems: merged.shopItems || [],
+    };
+    stampPrev.current = syncContent(next);
+    const base = trackedState(next);
+    lastTracked.current = base;
+    pendingEvents.current = [];
+    setEventLog({ ...EMPTY_EVENT_LOG, base });
+    setQuests(next.quests);
+    setHistory(next.history);
+    setChains(next.chains);
+    setInventory(next.inventory);
+    setStats(next.stats);
+    setExp(next.exp);
+    setLevel(next.level);
+    setUnspent(next.unspent);
+    setAllocated(next.allocated);
+    setStreak(next.streak);
+    setBoss(next.boss);
+    setPenaltyShields(next.penaltyShields);
+    setAchievements(next.achievements);
+    setJob(next.job);
+    setLevelCurve(next.levelCurve);
+    setGold(next.gold);
+    setShopItems(next.shopItems);
+    setCustomPacks(next.customPacks);
+    setDisabledPacks(next.disabledPacks);
+    setPenaltyRules(next.penaltyRules);
+    setReports(next.reports);
+    setGenRuns(next.genRuns);
+    setLastGeneratedAt(next.lastGeneratedAt);
+    setReceivedAssignments(next.receivedAssignments);
+    setSyncClock(next.syncClock);
+    if (focus && !next.quests.some((q) => q.id === focus.questId)) setFocus(null);
+  }
+
+  // the timer calls whichever runSync is current, so it sees the latest config
+  const runSyncRef = useRef(runSync);
+  runSyncRef.current = runSync;
+  useEffect(() => {
+    if (!syncConfig.url || !syncConfig.auto) return;
+    const tick = () => runSyncRef.current();
+    tick();
+    const iv = setInterval(tick, SYNC_INTERVAL_MS);
+    window.addEventListener('online', tick);
+    return () => {
+      clearInterval(iv);
+      window.removeEventListener('online', tick);
+    };
+  }, [syncConfig.url, syncConfig.token, syncConfig.auto]);
+
+  // turn each committed change of the tracked state into an event
+  const tracked = useMemo(
+    () => ({ quests, history, stats, exp, level, unspent, allocated, streak, boss, penaltyShields, gold, achievements, job, chains, inventory }),
+    [quests, history, stats, exp, level, unspent, allocated, streak, boss, penaltyShields, gold, achievements, job, chains, inventory],
+  );
+  useEffect(() => {
+    const prev = lastTracked.current;
+    lastTracked.current = tracked;
+    if (!prev) {
+      setEventLog({ ...EMPTY_EVENT_LOG, base: tracked });
+      return;
+    }
+    if (replaying.current) {
+      replaying.current = false;
+      return;
+    }
+    const marks = pendingEvents.current;
+    pendingEvents.current = [];
+    const changes = diffState(prev, tracked);
+    if (Object.keys(changes).length === 0) return;
+    const mark = marks[0] || { type: classifyEvent(changes), label: '', followUp: false };
+    const event = { id: uid('ev_'), type: mark.type, label: marks.map((m) => m.label).filter(Boolean).join(', '), followUp: mark.followUp, at: new Date().toISOString(), changes, bytes: JSON.stringify(changes).length };
+    setEventLog((log) => appendEvent(log, event));
+  }, [tracked]);
+
+  function applyTracked(state) {
+    replaying.current = true;
+    setQuests(state.quests || []);
+    setHistory(state.history || []);
+    setStats(state.stats);
+    setExp(state.exp);
+    setLevel(state.level);
+    setUnspent(state.unspent);
+    setAllocated(state.allocated || {});
+    setStreak(state.streak);
+    setBoss(state.boss);
+    setPenaltyShields(state.penaltyShields);
+    setAchievements(state.achievements || {});
+    setJob(state.job || { ...DEFAULT_JOB });
+    setGold(state.gold || 0);
+    setChains(state.chains || []);
+    setInventory(state.inventory || []);
+    setDraft({});
+    if (focus && !(state.quests || []).some((q) => q.id === focus.questId)) setFocus(null);
+  }
+
+  function moveCursor(cursor) {
+    if (cursor === eventLog.cursor || !eventLog.base) return;
+    applyTracked(rebuildState(eventLog.base, eventLog.events.slice(0, cursor)));
+    setEventLog((log) => ({ ...log, cursor }));
+  }
+
+  const undo = () => moveCursor(undoCursor(eventLog));
+  const redo = () => moveCursor(redoCursor(eventLog));
+  const canUndo = eventLog.cursor > 0;
+  const canRedo = eventLog.cursor < eventLog.events.length;
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y), except while typing
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey && canUndo) { e.preventDefault(); undo(); }
+      if (((key === 'z' && e.shiftKey) || key === 'y') && canRedo) { e.preventDefault(); redo(); }
+    }
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  // replace in-memory state with an imported record
+  function applyRecord(next) {
+    setLastGeneratedAt(next.lastGeneratedAt || null);
+    setQuests(next.quests || []);
+    setHistory(next.history || []);
+    setStats(next.stats || { ...DEFAULT_STATS });
+    setExp(next.exp || 0);
+    setLevel(next.level || 1);
+    setUnspent(next.unspent || 0);
+    setAllocated(next.allocated || {});
+    setStreak(next.streak || { ...DEFAULT_STREAK });
+    setCustomPacks(next.customPacks || []);
+    setDisabledPacks(next.disabledPacks || []);
+    setChains(next.chains || []);
+    setBoss(next.boss || null);
+    setInventory(next.inventory || []);
+    setPenaltyRules(next.penaltyRules || [{ ...DEFAULT_PENALTY_RULE }]);
+    setPenaltyShields(next.penaltyShields ?? 1);
+    setAchievements(next.achievements || {});
+    setJob(next.job || { ...DEFAULT_JOB });
+    setLevelCurve(next.levelCurve || { ...DEFAULT_LEVEL_CURVE });
+    setGold(next.gold || 0);
+    setShopItems(next.shopItems || []);
+    setReports(next.reports || []);
+    setReceivedAssignments(next.receivedAssignments || []);
+    setSyncClock(next.syncClock || emptySyncClock());
+    setDraft({});
+    setFocus(null);
+    // an imported record starts a fresh event log
+    lastTracked.current = null;
+    setEventLog(EMPTY_EVENT_LOG);
+  }
+
+  // streak: keep the best on record (history is capped) and award freezes on every 7th day
+  const streakInfo = computeStreak(history, streak.frozenDays);
   useEffect(() => {
-    let nextNeeded = 200 + (level - 1) * 50;
-    if (!isFinite(nextNeeded) || nextNeeded <= 0) nextNeeded = 200;
+    const award = streakInfo.current > 0 && streakInfo.current % STREAK_FREEZE_EVERY === 0 && streak.lastFreezeAwardDay !== streakInfo.endDay;
+    if (streakInfo.best > streak.best || award) recordEvent('update', 'Streak', { followUp: true });
+    setStreak((s) => {
+      let next = s;
+      if (streakInfo.best > s.best) next = { ...next, best: streakInfo.best };
+      if (streakInfo.current > 0 && streakInfo.current % STREAK_FREEZE_EVERY === 0 && s.lastFreezeAwardDay !== streakInfo.endDay) {
+        next = { ...next, freezes: Math.min(STREAK_FREEZE_MAX, s.freezes + 1), lastFreezeAwardDay: streakInfo.endDay };
+      }
+      return next;
+    });
+  }, [streakInfo.best, streakInfo.current, streakInfo.endDay]);
+
+  function spendStreakFreeze() {
+    const { missed } = streakInfo;
+    if (missed.length === 0 || missed.length > streak.freezes) return;
+    recordEvent('update', 'Streak freeze');
+    setStreak((s) => ({ ...s, freezes: s.freezes - missed.length, frozenDays: [...s.frozenDays, ...missed].slice(-60) }));
+  }
 
-    if (exp >= nextNeeded) {
+  // achievements: unlock whatever the latest change satisfied and announce it
+  const streakBest = Math.max(streak.best, streakInfo.best);
+  const achievementCtx = useMemo(() => achievementContext({ history, stats, level, quests, streakBest }), [history, stats, level, quests, streakBest]);
+  useEffect(() => {
+    const unlocked = ACHIEVEMENTS.filter((a) => !achievements[a.id] && achievementProgress(a, achievementCtx).done);
+    if (unlocked.length === 0) return;
+    const now = new Date().toISOString();
+    recordEvent('update', unlocked.map((a) => a.name).join(', '), { followUp: true });
+    // StrictMode runs this twice against the same stale `achievements`: keep the
+    // first unlock time and queue each popup once
+    setAchievements((prev) => ({ ...Object.fromEntries(unlocked.map((a) => [a.id, now])), ...prev }));
+    setPopQueue((p) => [
+      ...p,
+      ...unlocked
+        .filter((a) => !p.some((x) => x.id === `ach_${a.id}`))
+        .map((a) => ({ id: `ach_${a.id}`, type: 'achievement', title: `${a.icon} ${a.name}`, description: a.description })),
+    ]);
+  }, [achievements, achievementCtx, recordEvent]);
+
+  // leveling logic
+  useEffect(() => {
+    if (exp >= expForLevel(levelCurve, level)) {
       let newLevel = level;
       let remaining = exp;
       let gained = 0;
-      while (remaining >= (200 + (newLevel - 1) * 50)) {
-        remaining -= (200 + (newLevel - 1) * 50);
+      while (remaining >= expForLevel(levelCurve, newLevel)) {
+        remaining -= expForLevel(levelCurve, newLevel);
         newLevel += 1;
         gained += 1;
       }
+      recordEvent('level-up', `Level ${newLevel}`, { followUp: true });
       setLevel(newLevel);
-      setUnspent((u) => u + gained * 3);
+      setUnspent((u) => u + gained * ATTRIBUTE_POINTS_PER_LEVEL);
+      // one consumable per level gained
+      const drops = Array.from({ length: gained }, (_, i) => rollItemDrop(createRng(`${user.id}:level:${level + i + 1}`)));
+      setInventory((inv) => drops.reduce((acc, itemId) => addItem(acc, itemId), inv));
       setExp(remaining);
       setLevelUpActive(true);
       setTimeout(() => setLevelUpActive(false), 2200);
+    } else if (exp < 0) {
+      // a de-levelling penalty pushed exp below zero: give back levels until it's covered
+      let newLevel = level;
+      let remaining = exp;
+      let lost = 0;
+      while (remaining < 0 && newLevel > 1) {
+        newLevel -= 1;
+        remaining += expForLevel(levelCurve, newLevel);
+        lost += 1;
+      }
+      recordEvent('level-up', `Back to level ${newLevel}`, { followUp: true });
+      setLevel(newLevel);
+      setUnspent((u) => Math.max(0, u - lost * ATTRIBUTE_POINTS_PER_LEVEL));
+      setExp(Math.max(0, remaining));
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [exp]);
+  }, [exp, level, levelCurve, user.id, recordEvent]);
+
+  // remember this week's stats and level for its weekly report
+  useEffect(() => {
+    setWeekStats((ws) => recordWeekStats(ws, weekKey(), stats, level));
+  }, [stats, level]);
+
+  // job change: issue the milestone's trial once it's reached (again only if it was removed)
+  const jobMilestone = nextJobMilestone(job);
+  useEffect(() => {
+    if (!jobMilestone || level < jobMilestone || job.canChoose) return;
+    if (quests.some((q) => q.jobChange === jobMilestone)) return;
+    const trial = jobTrialQuest(jobMilestone, stats);
+    recordEvent('create', trial.title, { followUp: true });
+    setQuests((qs) => (qs.some((q) => q.id === trial.id) ? qs : [trial, ...qs]));
+    setPopQueue((p) => (p.some((x) => x.id === trial.id) ? p : [...p, { ...trial, type: 'new' }]));
+  }, [level, quests, stats, jobMilestone, job.canChoose, recordEvent]);
+
+  function chooseClass(classId) {
+    const cls = JOB_CLASSES.find((c) => c.id === classId);
+    if (!cls || !job.canChoose) return;
+    const now = new Date().toISOString();
+    recordEvent('update', `Class: ${cls.name}`);
+    setJob((j) => ({ classId, rank: j.rank + 1, canChoose: false, changes: [...j.changes, { level, classId, at: now }] }));
+    setHistory((h) => [{ id: `job_${job.changes.length + 1}`, type: 'job', title: `Job change: ${cls.name} (rank ${job.rank + 1})`, reward: 0, at: now }, ...h].slice(0, HISTORY_LIMIT));
+    setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: `${cls.icon} You are now a ${cls.name}`, description: cls.description }]);
+  }
+
+  // focus timer; re-render now and then while it runs so the Complete gate counts the session
+  const [, setFocusTick] = useState(0);
+  useEffect(() => {
+    if (!focus || !focus.startedAt) return undefined;
+    const iv = setInterval(() => setFocusTick((t) => t + 1), 30_000);
+    return () => clearInterval(iv);
+  }, [focus]);
+
+  function stopFocus() {
+    if (!focus) return;
+    const qid = focus.questId;
+    const mins = sessionMins(focus, qid);
+    if (mins > 0) setQuests((qs) => qs.map((q) => (q.id === qid ? { ...q, focusMins: (q.focusMins || 0) + mins } : q)));
+    setFocus(null);
+  }
+
+  function startFocus(qid) {
+    stopFocus();
+    setFocus({ questId: qid, startedAt: Date.now(), accumulatedMs: 0 });
+  }
+
+  function pauseFocus() {
+    setFocus((f) => (f && f.startedAt ? { ...f, startedAt: null, accumulatedMs: focusElapsedMs(f) } : f));
+  }
+
+  function resumeFocus() {
+    setFocus((f) => (f && !f.startedAt ? { ...f, startedAt: Date.now() } : f));
+  }
+
+  function completeFocusBlock() {
+    const q = quests.find((x) => x.id === (focus && focus.questId));
+    stopFocus();
+    if (q) setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: 'Focus block complete', description: `${FOCUS_BLOCK_MINS} minutes on "${q.title}" logged — take a short break.` }]);
+  }
 
   function triggerCompletePopup(qid) {
-    setQuests((qs) => qs.map((q) => (q.id === qid ? { ...q, pendingComplete: true } : q)));
     const q = quests.find((x) => x.id === qid);
-    if (q) setPopQueue((p) => [...p, { ...q, type: 'complete' }]);
+    if (!q || !canCompleteQuest(q, focus)) return;
+    if (focus && focus.questId === qid) stopFocus();
+    setQuests((qs) => qs.map((x) => (x.id === qid ? { ...x, pendingComplete: true } : x)));
+    recordEvent('complete', q.title);
+    setPopQueue((p) => [...p, { ...q, type: 'complete' }]);
   }
 
   function claimComplete(qid) {
     const q = quests.find((x) => x.id === qid);
     if (!q) return;
-    setQuests((qs) => qs.map((x) => (x.id === qid ? { ...x, pendingComplete: false, completed: true } : x)));
-    setHistory((h) => [{ id: qid, title: q.title, reward: q.rewardExp, at: new Date().toISOString() }, ...h].slice(0, 200));
-    setExp((e) => (isFinite(e) ? e + (typeof q.rewardExp === 'number' ? q.rewardExp : 0) : (typeof q.rewardExp === 'number' ? q.rewardExp : 0)));
+    if (isQuestLocked(q, quests) || !canCompleteQuest(q)) return;
+    recordEvent('claim', q.title);
+    const nextDueAt = nextOccurrence(q.repeat, q);
+    const updatedQuests = quests.map((x) => (x.id === qid ? { ...x, pendingComplete: false, completed: true, nextDueAt } : x));
+    setQuests((qs) => qs.map((x) => (x.id === qid ? { ...x, pendingComplete: false, completed: true, nextDueAt } : x)));
+    const now = new Date().toISOString();
+    const projected = computeStreak([{ type: 'claim', at: now }, ...history], streak.frozenDays).current;
+    const multiplier = streakMultiplier(projected);
+    const classFactor = classExpFactor(job, q.subject);
+    const reward = Math.round((typeof q.rewardExp === 'number' ? q.rewardExp : 0) * focusRewardFactor(q) * multiplier * classFactor);
+    const onTime = q.dueAt ? new Date(now) <= new Date(q.dueAt) : null;
+    const goldEarned = Math.round(goldFor(reward) * classGoldFactor(job));
+    setHistory((h) => [{ id: qid, type: 'claim', title: q.title, subject: q.subject, rarity: q.rarity, reward, gold: goldEarned, multiplier, classFactor, focusMins: q.focusMins || 0, onTime, at: now }, ...h].slice(0, HISTORY_LIMIT));
+    setExp((e) => (isFinite(e) ? e + reward : reward));
+    setGold((g) => g + goldEarned);
+
+    // a claimed job trial always had its full focus time (canCompleteQuest)
+    if (q.jobChange) {
+      setJob((j) => ({ ...j, canChoose: true }));
+      setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: 'Job change unlocked', description: 'Choose your class in the Abilities tab.' }]);
+    }
 
     // small stat bump
-    if (q.subject === 'Coding') setStats((s) => ({ ...s, Intelligence: Math.min(100, (s.Intelligence || 0) + 1) }));
-    if (q.subject === 'Math') setStats((s) => ({ ...s, Perception: Math.min(100, (s.Perception || 0) + 1) }));
+    if (q.subject === 'Coding') setStats((s) => ({ ...s, Intelligence: Math.min(STAT_CAP, (s.Intelligence || 0) + 1) }));
+    if (q.subject === 'Math') setStats((s) => ({ ...s, Perception: Math.min(STAT_CAP, (s.Perception || 0) + 1) }));
+
+    // Epic quests drop a consumable
+    if (q.rarity === 'Epic') {
+      const itemId = rollItemDrop(createRng(`${q.id}:${now}`));
+      setInventory((inv) => addItem(inv, itemId, 1, now));
+      setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: `${ITEM_CATALOG[itemId].icon} Found: ${ITEM_CATALOG[itemId].name}`, description: 'An Epic quest dropped an item — see your Inventory.' }]);
+    }
+
+    // weekly boss damage
+    if (boss && !boss.defeatedAt && boss.week === weekKey()) {
+      const hp = Math.max(0, boss.hp - Math.round((q.rewardExp || 0) * BOSS_DAMAGE_PER_EXP));
+      setBoss({ ...boss, hp, defeatedAt: hp === 0 ? now : null });
+      if (hp === 0) {
+        setHistory((h) => [{ id: boss.id, type: 'boss', title: `Boss defeated: ${boss.name}`, reward: boss.rewardExp, at: now }, ...h].slice(0, HISTORY_LIMIT));
+        setExp((e) => e + boss.rewardExp);
+        setInventory((inv) => [{ id: uid('i_'), itemId: 'boss_trophy', name: `${boss.name} Trophy`, icon: boss.icon, description: `Defeated in the week of ${boss.week}.`, source: boss.id, obtainedAt: now }, ...inv]);
+        setPopQueue((p) => [...p, { id: boss.id, type: 'boss', title: `${boss.name} defeated!`, description: 'A trophy was added to your Inventory.', rewardExp: boss.rewardExp, rarity: 'Epic' }]);
+      }
+    }
+
+    // chain completion bonus
+    const chain = q.chainId && chains.find((c) => c.id === q.chainId);
+    if (chain && !chain.completedAt && chainProgress(chain, updatedQuests).complete) {
+      setChains((cs) => cs.map((c) => (c.id === chain.id ? { ...c, completedAt: now } : c)));
+      setHistory((h) => [{ id: chain.id, type: 'chain', title: `Chain complete: ${chain.title}`, reward: chain.bonusExp, at: now }, ...h].slice(0, HISTORY_LIMIT));
+      setExp((e) => e + chain.bonusExp);
+      setPopQueue((p) => [...p, { id: chain.id, type: 'chain', title: chain.title, description: 'Every step of the chain is done.', rewardExp: chain.bonusExp }]);
+    }
+  }
+
+  function addChain(chain, steps) {
+    recordEvent('create', `Chain ${chain.title}`);
+    setChains((cs) => [chain, ...cs]);
+    setQuests((s) => [...steps, ...s]);
+    const first = steps.filter((q) => q.requires.length === 0);
+    setPopQueue((p) => [...p, ...first.map((q) => ({ ...q, type: 'new' }))]);
+  }
+
+  function removeChain(chainId) {
+    const chain = chains.find((c) => c.id === chainId);
+    if (!chain) return;
+    recordEvent('remove', `Chain ${chain.title}`);
+    if (focus && chain.stepIds.includes(focus.questId)) setFocus(null);
+    setQuests((s) => s.filter((x) => x.chainId !== chainId));
+    setChains((cs) => cs.filter((c) => c.id !== chainId));
   }
 
   function undoComplete(qid) {
@@ -518,30 +4731,177 @@ function Dashboard({ user, onLogout }) {
   }
 
   function addCustomQuest(q) {
+    recordEvent('create', q.title);
     setQuests((s) => [q, ...s]);
     setPopQueue((p) => [...p, { ...q, type: 'new' }]);
   }
 
+  function updateQuest(qid, patch) {
+    recordEvent('edit', patch.title);
+    setQuests((s) => s.map((x) => (x.id === qid ? { ...x, ...patch } : x)));
+    setEditingQuestId(null);
+  }
+
   function removeQuest(qid) {
-    setQuests((s) => s.filter((x) => x.id !== qid));
+    const q = quests.find((x) => x.id === qid);
+    // dropping a step would let an unfinished chain pay its bonus for less work
+    const chain = q && q.chainId && chains.find((c) => c.id === q.chainId);
+    if (chain && !chain.completedAt && chain.stepIds.includes(qid)) {
+      return alert(`"${q.title}" is a step of the chain "${chain.title}". Remove the whole chain instead.`);
+    }
+    recordEvent('remove', q ? q.title : '');
+    if (focus && focus.questId === qid) setFocus(null);
+    // a removed step of a finished chain no longer blocks the steps after it
+    setQuests((s) => s.filter((x) => x.id !== qid).map((x) => (x.requires && x.requires.includes(qid) ? { ...x, requires: x.requires.filter((r) => r !== qid) } : x)));
+    setChains((cs) => cs.map((c) => (c.stepIds.includes(qid) ? { ...c, stepIds: c.stepIds.filter((id) => id !== qid) } : c)));
+  }
+
+  function buyItem(item) {
+    const blocker = purchaseBlocker(item, gold, history);
+    if (blocker) return alert(blocker);
+    if (!window.confirm(`Spend ${item.price} gold on "${item.name}"?`)) return;
+    recordEvent('purchase', item.name);
+    setGold((g) => g - item.price);
+    setHistory((h) => [{ id: item.id, type: 'purchase', title: `Bought: ${item.name}`, reward: 0, gold: -item.price, at: new Date().toISOString() }, ...h].slice(0, HISTORY_LIMIT));
+    setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: `${item.icon} ${item.name}`, description: 'Enjoy your reward — you earned it.' }]);
+  }
+
+  function consumeItem(stack, targetId = null) {
+    const def = ITEM_CATALOG[stack.itemId];
+    if (!def || stack.count < 1) return;
+    const target = targetId && quests.find((q) => q.id === targetId);
+    if (def.target && !target) return alert('Pick a quest to use this item on.');
+    const now = new Date().toISOString();
+    let title = `Used ${def.name}`;
+    let reward = 0;
+
+    if (stack.itemId === 'exp_potion') {
+      reward = potionExp(level);
+      setExp((e) => e + reward);
+    } else if (stack.itemId === 'penalty_shield') {
+      setPenaltyShields((n) => n + 1);
+    } else if (stack.itemId === 'due_extension') {
+      const dueAt = new Date(Math.max(new Date(target.dueAt).getTime(), Date.now()) + EXTENSION_HOURS * HOUR_MS).toISOString();
+      setQuests((qs) => qs.map((q) => (q.id === target.id ? { ...q, dueAt, reminderNotified: false, penaltyApplied: false, penaltyCount: 0, lastPenaltyAt: null } : q)));
+      title = `${title} on "${target.title}"`;
+    } else if (stack.itemId === 'reroll') {
+      const [fresh] = runGenerator({ count: 1, recentTitles: recentQuestTitles(quests, history), seed: generationSeed(user.id, dayKey(now), `reroll:${target.id}`) });
+      if (!fresh) return alert('No quest packs enabled to reroll from.');
+      if (focus && focus.questId === target.id) setFocus(null);
+      setQuests((qs) => qs.map((q) => (q.id === target.id ? { ...fresh, dueAt: target.dueAt } : q)));
+      setPopQueue((p) => [...p, { ...fresh, type: 'new' }]);
+      title = `${title}: "${target.title}" → "${fresh.title}"`;
+    }
+
+    recordEvent('item', def.name);
+    setInventory((inv) => takeItem(inv, stack.itemId));
+    setHistory((h) => [{ id: stack.itemId, type: 'item', title, reward, target: target ? target.id : null, at: now }, ...h].slice(0, HISTORY_LIMIT));
+  }
+
+  function saveShopItem(item) {
+    setShopItems((items) => (items.some((x) => x.id === item.id) ? items.map((x) => (x.id === item.id ? item : x)) : [...items, item]));
+  }
+
+  function clearQuests() {
+    if (quests.length === 0) return;
+    recordEvent('remove', `All ${quests.length} quests`);
+    setFocus(null);
+    setQuests([]);
+  }
+
+  // attribute allocation
+  const draftSpent = Object.values(draft).reduce((s, v) => s + v, 0);
+  const pointsLeft = unspent - draftSpent;
+  const allocatedTotal = Object.values(allocated).reduce((s, v) => s + v, 0);
+
+  function adjustDraft(stat, delta) {
+    setDraft((d) => {
+      const next = (d[stat] || 0) + delta;
+      if (next < 0) return d;
+      // count from `d`, not the render's pointsLeft, so rapid clicks can't overspend
+      const left = unspent - Object.values(d).reduce((sum, v) => sum + v, 0);
+      if (delta > 0 && (left <= 0 || (stats[stat] || 0) + next > STAT_CAP)) return d;
+      return { ...d, [stat]: next };
+    });
+  }
+
+  function confirmAllocation() {
+    if (draftSpent === 0) return;
+    recordEvent('stat change', `${draftSpent} points allocated`);
+    setStats((s) => {
+      const next = { ...s };
+      Object.entries(draft).forEach(([k, v]) => { next[k] = Math.min(STAT_CAP, (next[k] || 0) + v); });
+      return next;
+    });
+    setAllocated((a) => {
+      const next = { ...a };
+      Object.entries(draft).forEach(([k, v]) => { if (v) next[k] = (next[k] || 0) + v; });
+      return next;
+    });
+    setUnspent((u) => u - draftSpent);
+    setDraft({});
+  }
+
+  function respec() {
+    if (allocatedTotal === 0) return;
+    if (!window.confirm(`Refund all ${allocatedTotal} allocated points?`)) return;
+    recordEvent('stat change', 'Respec');
+    setStats((s) => {
+      const next = { ...s };
+      Object.entries(allocated).forEach(([k, v]) => { next[k] = Math.max(0, (next[k] || 0) - v); });
+      return next;
+    });
+    setUnspent((u) => u + allocatedTotal);
+    setAllocated({});
+    setDraft({});
   }
 
   function quickGenerate(count = 3) {
-    const g = generateQuests({ stats, count });
+    const today = dayKey(Date.now());
+    const run = genRuns.day === today ? genRuns.count + 1 : 1;
+    setGenRuns({ day: today, count: run });
+    const g = runGenerator({ count, recentTitles: recentQuestTitles(quests, history), seed: generationSeed(user.id, today, run) });
+    if (g.length === 0) {
+      setPopQueue((p) => [...p, { id: uid('n_'), type: 'notice', title: 'No quest packs enabled', description: 'Enable a pack in the Quest Log to generate quests.' }]);
+      return;
+    }
+    recordEvent('create', `${g.length} generated quest${g.length === 1 ? '' : 's'}`);
     setQuests((s) => [...g, ...s]);
     setPopQueue((p) => [...p, ...g.map((it) => ({ ...it, type: 'new' }))]);
   }
 
+  function savePack(pack) {
+    setCustomPacks((packs) => (packs.some((p) => p.id === pack.id) ? packs.map((p) => (p.id === pack.id ? pack : p)) : [...packs, pack]));
+  }
+
+  function deletePack(packId) {
+    setCustomPacks((packs) => packs.filter((p) => p.id !== packId));
+    setDisabledPacks((ids) => ids.filter((id) => id !== packId));
+  }
+
+  function togglePack(packId) {
+    setDisabledPacks((ids) => (ids.includes(packId) ? ids.filter((id) => id !== packId) : [...ids, packId]));
+  }
+
   // UI helpers
-  const radarData = Object.entries(stats).map(([k, v]) => ({ stat: k, value: v, fullMark: 100 }));
+  const visibleQuests = sortQuests(filterQuests(quests, questFilter), questSort.key, questSort.dir);
+  const radarData = Object.entries(stats).map(([k, v]) => ({ stat: k, value: v + (draft[k] || 0), fullMark: STAT_CAP }));
   const recentHistory = history.slice(0, 7);
-  const nextExpForLevel = (lev) => 200 + (lev - 1) * 50;
-  const nextNeeded = nextExpForLevel(level);
+  const nextNeeded = expForLevel(levelCurve, level);
   const percent = Math.max(0, Math.min(100, Math.round((exp / nextNeeded) * 100)));
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-800 text-white p-6">
       <div className="max-w-7xl mx-auto">
+        <FocusTimer
+          session={focus}
+          quest={focus && quests.find((q) => q.id === focus.questId)}
+          onPause={pauseFocus}
+          onResume={resumeFocus}
+          onStop={stopFocus}
+          onBlockComplete={completeFocusBlock}
+        />
+
         <TaskPopup
           payload={currentPopup}
           onClose={() => setCurrentPopup(null)}
@@ -562,11 +4922,16 @@ function Dashboard({ user, onLogout }) {
           </div>
           <div className="flex items-center gap-3">
             <div className="text-sm text-slate-300">Level {level}</div>
+            <div className="text-sm text-amber-300">🪙 {gold}</div>
+            <button onClick={undo} disabled={!canUndo} title={canUndo ? `Undo ${describeEvent(eventLog.events[eventLog.cursor - 1])} (Ctrl+Z)` : 'Nothing to undo'} className="px-3 py-2 bg-slate-700 rounded disabled:opacity-40">↶ Undo</button>
+            <button onClick={redo} disabled={!canRedo} title={canRedo ? `Redo ${describeEvent(eventLog.events[eventLog.cursor])} (Ctrl+Shift+Z)` : 'Nothing to redo'} className="px-3 py-2 bg-slate-700 rounded disabled:opacity-40">↷ Redo</button>
+            <SyncDialog userId={user.id} config={syncConfig} syncing={syncing} onChange={(patch) => setSyncConfig((c) => ({ ...c, ...patch }))} onSyncNow={runSync} />
+            <SaveFileDialog user={user} record={record} onApply={applyRecord} />
             <button onClick={onLogout} className="px-3 py-2 bg-rose-600 rounded">Logout</button>
           </div>
         </header>
 
-        <Tabs activeTab={activeTab} onChange={setActiveTab} tabs={["Overview", "Abilities", "Analytics", "Quests", "Inventory"]} />
+        <Tabs activeTab={activeTab} onChange={setActiveTab} tabs={["Overview", "Abilities", "Analytics", "Reports", "Quests", "Inventory", "Shop", "Leaderboard", ...(SHOW_DEV_PANEL ? ['Dev'] : [])]} />
 
         {activeTab === 'Overview' && (
           <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} className="grid grid-cols-3 gap-4">
@@ -603,18 +4968,37 @@ function Dashboard({ user, onLogout }) {
                   >
                     <div className="text-center">
                       <div className="text-lg font-bold">Level Up!</div>
-                      <div className="text-sm text-slate-200">You gained +3 attribute points</div>
+                      <div className="text-sm text-slate-200">You gained +{ATTRIBUTE_POINTS_PER_LEVEL} attribute points</div>
                     </div>
                   </motion.div>
                 )}
               </AnimatePresence>
             </div>
 
+            {boss && (
+              <div className="col-span-3 bg-purple-900/20 backdrop-blur rounded-lg p-4 border border-purple-500/30">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="text-xs text-purple-300">Weekly Boss • Epic</div>
+                    <div className="text-lg font-semibold">{boss.icon} {boss.name}</div>
+                  </div>
+                  <div className="text-right text-xs text-slate-300">
+                    <div>{boss.defeatedAt ? 'Defeated!' : `${boss.hp} / ${boss.maxHp} HP`}</div>
+                    <div>Reward: +{boss.rewardExp} EXP & trophy • Escape penalty: -{bossPenalty(boss)} EXP</div>
+                  </div>
+                </div>
+                <div className="mt-3 w-full bg-white/6 rounded-full h-3 overflow-hidden">
+                  <motion.div animate={{ width: `${Math.round((boss.hp / boss.maxHp) * 100)}%` }} transition={{ type: 'spring', stiffness: 80 }} className="h-3 bg-rose-500" />
+                </div>
+                <div className="mt-1 text-xs text-slate-400">Every claimed quest this week hits the boss for its EXP reward. Resets Monday.</div>
+              </div>
+            )}
+
             <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
               <h3 className="text-sm text-slate-300 mb-2">Quick AI</h3>
               <div className="flex gap-2">
                 <button onClick={() => quickGenerate(3)} className="px-3 py-2 bg-emerald-600 rounded">Generate 3 Quests</button>
-                <button onClick={() => setQuests([])} className="px-3 py-2 bg-slate-600 rounded">Clear Quests</button>
+                <button onClick={clearQuests} className="px-3 py-2 bg-slate-600 rounded">Clear Quests</button>
               </div>
             </div>
 
@@ -625,6 +5009,56 @@ function Dashboard({ user, onLogout }) {
                 {recentHistory.map((h) => <li key={h.at}>{h.title} ({h.reward > 0 ? `+${h.reward}` : h.reward} EXP)</li>)}
               </ul>
             </div>
+
+            <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+              <h3 className="text-sm text-slate-300 mb-2">Recent Actions</h3>
+              <ul className="text-xs space-y-0.5">
+                {eventLog.events.length === 0 && <li className="text-slate-500">Nothing recorded yet</li>}
+                {eventLog.events.map((ev, i) => ({ ev, undone: i >= eventLog.cursor })).slice(-8).reverse().map(({ ev, undone }) => (
+                  <li key={ev.id} className={undone ? 'text-slate-500 line-through' : ev.followUp ? 'text-slate-400 pl-3' : 'text-slate-300'}>
+                    {describeEvent(ev)} <span className="text-slate-500">{new Date(ev.at).toLocaleTimeString()}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+              <h3 className="text-sm text-slate-300 mb-2">Streak</h3>
+              <div className="flex items-end gap-4">
+                <div>
+                  <div className="text-2xl font-semibold text-amber-300">{streakInfo.current} day{streakInfo.current === 1 ? '' : 's'}</div>
+                  <div className="text-xs text-slate-400">Best: {Math.max(streak.best, streakInfo.best)}</div>
+                </div>
+                <div className="text-xs text-slate-300">
+                  <div>EXP multiplier: x{streakMultiplier(streakInfo.current)}</div>
+                  <div>Freezes: {streak.freezes}</div>
+                </div>
+              </div>
+              {streakInfo.missed.length > 0 && (
+                <div className="mt-3 text-xs text-slate-300">
+                  Missed {streakInfo.missed.length} day{streakInfo.missed.length === 1 ? '' : 's'}.{' '}
+                  {streakInfo.missed.length <= streak.freezes ? (
+                    <button onClick={spendStreakFreeze} className="px-2 py-1 bg-sky-600 rounded text-xs">Use {streakInfo.missed.length} freeze{streakInfo.missed.length === 1 ? '' : 's'}</button>
+                  ) : (
+                    <span className="text-slate-500">Not enough freezes to repair.</span>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+              <h3 className="text-sm text-slate-300 mb-2">Penalty Rules</h3>
+              <ul className="text-xs text-slate-300 mb-2 space-y-0.5">
+                {penaltyRules.filter((r) => r.enabled).length === 0 && <li className="text-slate-500">No penalties enabled</li>}
+                {penaltyRules.filter((r) => r.enabled).map((r) => (
+                  <li key={r.id}>{r.name}: -{r.amount}{r.mode === 'percent' ? '%' : ' EXP'} after {r.graceHours}h</li>
+                ))}
+              </ul>
+              <div className="flex items-center justify-between">
+                <div className="text-xs text-slate-400">🛡 Shields: {penaltyShields}</div>
+                <PenaltyRulesEditor rules={penaltyRules} shields={penaltyShields} quests={quests} history={history} onSave={setPenaltyRules} />
+              </div>
+            </div>
           </motion.div>
         )}
 
@@ -636,53 +5070,85 @@ function Dashboard({ user, onLogout }) {
                 <RadarChart cx="50%" cy="50%" outerRadius="80%" data={radarData}>
                   <PolarGrid />
                   <PolarAngleAxis dataKey="stat" />
-                  <PolarRadiusAxis angle={30} domain={[0, 100]} />
+                  <PolarRadiusAxis angle={30} domain={[0, STAT_CAP]} />
                   <Radar dataKey="value" stroke="#00f6ff" fill="#00f6ff" fillOpacity={0.4} />
                 </RadarChart>
               </ResponsiveContainer>
             </div>
 
             <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
-              <h3 className="text-sm text-slate-300 mb-2">Stats</h3>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-sm text-slate-300">Stats</h3>
+                <div className="text-xs text-slate-300">Unspent points: <span className="font-semibold text-emerald-300">{pointsLeft}</span></div>
+              </div>
               <div className="grid grid-cols-3 gap-2">
                 {Object.entries(stats).map(([k, v]) => (
                   <div key={k} className="bg-slate-900 p-2 rounded text-center">
                     <div className="text-xs text-slate-400">{k}</div>
-                    <div className="font-semibold">{v}</div>
+                    <div className="font-semibold">
+                      {v + (draft[k] || 0)}
+                      {draft[k] > 0 && <span className="text-xs text-emerald-300"> (+{draft[k]})</span>}
+                    </div>
+                    <div className="flex justify-center gap-1 mt-1">
+                      <button onClick={() => adjustDraft(k, -1)} disabled={!draft[k]} className="px-2 bg-slate-700 rounded text-xs disabled:opacity-40">-</button>
+                      <button onClick={() => adjustDraft(k, 1)} disabled={pointsLeft <= 0 || v + (draft[k] || 0) >= STAT_CAP} className="px-2 bg-slate-700 rounded text-xs disabled:opacity-40">+</button>
+                    </div>
                   </div>
                 ))}
               </div>
+              <div className="flex justify-end gap-2 mt-3">
+                <button onClick={respec} disabled={allocatedTotal === 0} className="px-3 py-1 bg-rose-600 rounded text-sm disabled:opacity-40">Respec</button>
+                <button onClick={() => setDraft({})} disabled={draftSpent === 0} className="px-3 py-1 bg-slate-600 rounded text-sm disabled:opacity-40">Reset</button>
+                <button onClick={confirmAllocation} disabled={draftSpent === 0} className="px-3 py-1 bg-emerald-600 rounded text-sm disabled:opacity-40">Confirm</button>
+              </div>
+            </div>
+
+            <div className="col-span-2 bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
+              <div className="flex justify-between items-center mb-2">
+                <div>
+                  <h3 className="text-sm text-slate-300">Class</h3>
+                  <div className="text-xs text-slate-400">
+                    {jobClass(job) ? `${jobClass(job).icon} ${jobClass(job).name} · rank ${job.rank} · ${jobClass(job).description}${job.rank > 1 ? ` (×${job.rank})` : ''}` : 'No class yet.'}
+                    {' '}{job.canChoose ? 'Trial passed — pick a class below.' : jobMilestone ? (level >= jobMilestone ? `The level ${jobMilestone} job change trial is in your Quest Log.` : `Next job change at level ${jobMilestone}.`) : 'Every job change is done.'}
+                  </div>
+                </div>
+                <LevelCurveEditor curve={levelCurve} level={level} locked={levelCurveLocked(level, exp)} onSave={(c) => { if (!levelCurveLocked(level, exp)) setLevelCurve(c); }} />
+              </div>
+              {job.canChoose && (
+                <div className="grid grid-cols-3 gap-2">
+                  {JOB_CLASSES.map((c) => (
+                    <button key={c.id} onClick={() => chooseClass(c.id)} className={`bg-slate-900 p-3 rounded text-left border ${c.id === job.classId ? 'border-indigo-400' : 'border-transparent'}`}>
+                      <div className="font-medium">{c.icon} {c.name}</div>
+                      <div className="text-xs text-slate-400">{c.description}{job.rank > 0 ? ` (×${job.rank + 1} at rank ${job.rank + 1})` : ''}</div>
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
           </motion.div>
         )}
 
         {activeTab === 'Analytics' && (
-          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} className="grid grid-cols-2 gap-4">
-            <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
-              <h3 className="text-sm text-slate-300 mb-2">Completion History</h3>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={history.map((h, i) => ({ name: `#${i + 1}`, exp: h.reward }))}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="name" stroke="#bbb" />
-                  <YAxis stroke="#bbb" />
-                  <Tooltip />
-                  <Line type="monotone" dataKey="exp" stroke="#00e0a8" strokeWidth={2} />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+            <AnalyticsPanel history={history} />
+          </motion.div>
+        )}
 
-            <div className="bg-white/3 backdrop-blur rounded-lg p-4 border border-white/10">
-              <h3 className="text-sm text-slate-300 mb-2">Match-like Example</h3>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={[{ name: 'M1', kills: 5 }, { name: 'M2', kills: 8 }, { name: 'M3', kills: 4 }, { name: 'M4', kills: 10 }]}> 
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="name" stroke="#bbb" />
-                  <YAxis stroke="#bbb" />
-                  <Tooltip />
-                  <Line type="monotone" dataKey="kills" stroke="#ff6b6b" strokeWidth={2} />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+        {activeTab === 'Shop' && (
+          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+            <ShopPanel gold={gold} items={shopItems} history={history} onBuy={buyItem} onSaveItem={saveShopItem} onDeleteItem={(id) => setShopItems((items) => items.filter((x) => x.id !== id))} />
+          </motion.div>
+        )}
+
+        {activeTab === 'Leaderboard' && (
+          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+            <LeaderboardPanel user={user} />
+          </motion.div>
+        )}
+
+        {activeTab === 'Reports' && (
+          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+            <ReportsPanel reports={reports} current={buildWeeklyReport({ week: weekKey(), history, stats, level, frozenDays: streak.frozenDays, previous: reports[0] || null })} />
           </motion.div>
         )}
 
@@ -691,46 +5157,164 @@ function Dashboard({ user, onLogout }) {
             <div className="flex justify-between items-center">
               <h3 className="text-xl">Quest Log</h3>
               <div className="flex items-center gap-2">
-                <button onClick={() => { const g = generateQuests({ stats, count: 1 }); setQuests((s) => [...g, ...s]); setPopQueue((p) => [...p, ...g.map((it) => ({ ...it, type: 'new' }))]); }} className="px-3 py-2 bg-emerald-600 rounded">Generate 1</button>
+                <button onClick={() => quickGenerate(1)} className="px-3 py-2 bg-emerald-600 rounded">Generate 1</button>
+                <PackManager customPacks={customPacks} disabledPacks={disabledPacks} onSavePack={savePack} onDeletePack={deletePack} onTogglePack={togglePack} />
                 <QuestEditor onCreate={addCustomQuest} />
+                <ChainEditor onCreate={addChain} />
+              </div>
+            </div>
+
+            {chains.length > 0 && (
+              <div className="grid grid-cols-2 gap-3">
+                {chains.map((c) => {
+                  const prog = chainProgress(c, quests);
+                  return (
+                    <div key={c.id} className={`p-3 rounded-lg border border-white/10 ${c.completedAt ? 'bg-emerald-900/20' : 'bg-white/3 backdrop-blur'}`}>
+                      <div className="flex justify-between items-start">
+                        <div>
+                          <div className="font-medium">{c.title}</div>
+                          <div className="text-xs text-slate-400">{prog.done} / {prog.total} steps • +{c.bonusExp} EXP bonus{c.completedAt ? ' (paid)' : ''}</div>
+                        </div>
+                        <button onClick={() => { if (window.confirm(`Remove chain "${c.title}" and its steps?`)) removeChain(c.id); }} className="px-2 py-1 bg-rose-600 rounded text-xs">Remove</button>
+                      </div>
+                      <div className="mt-2 w-full bg-white/6 rounded-full h-2 overflow-hidden">
+                        <div className="h-2 bg-amber-400" style={{ width: `${prog.total ? Math.round((prog.done / prog.total) * 100) : 0}%` }} />
+                      </div>
+                      <ol className="mt-2 text-xs space-y-0.5">
+                        {prog.steps.map((st) => (
+                          <li key={st.id} className={st.completed ? 'text-emerald-300' : isQuestLocked(st, quests) ? 'text-slate-500' : 'text-slate-200'}>
+                            {st.completed ? '✓' : isQuestLocked(st, quests) ? '🔒' : '•'} {st.title}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  );
+                })}
               </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <input value={questFilter.search} onChange={(e) => setQuestFilter((f) => ({ ...f, search: e.target.value }))} placeholder="Search quests…" className="flex-1 min-w-[12rem] p-2 bg-slate-800 rounded" />
+              <select value={questFilter.subject} onChange={(e) => setQuestFilter((f) => ({ ...f, subject: e.target.value }))} className="p-2 bg-slate-800 rounded">
+                <option value="all">All subjects</option>
+                {SUBJECTS.map((sub) => <option key={sub} value={sub}>{sub}</option>)}
+              </select>
+              <select value={questFilter.rarity} onChange={(e) => setQuestFilter((f) => ({ ...f, rarity: e.target.value }))} className="p-2 bg-slate-800 rounded">
+                <option value="all">All rarities</option>
+                {RARITIES.map((r) => <option key={r.id} value={r.id}>{r.id}</option>)}
+              </select>
+              <select value={questFilter.status} onChange={(e) => setQuestFilter((f) => ({ ...f, status: e.target.value }))} className="p-2 bg-slate-800 rounded">
+                <option value="all">Any status</option>
+                {QUEST_STATUSES.map((st) => <option key={st} value={st}>{st[0].toUpperCase() + st.slice(1)}</option>)}
+              </select>
+              <select value={questFilter.source} onChange={(e) => setQuestFilter((f) => ({ ...f, source: e.target.value }))} className="p-2 bg-slate-800 rounded">
+                <option value="all">Any source</option>
+                <option value="assigned">Assigned</option>
+                <option value="self">Self-generated</option>
+              </select>
+              <label className="flex items-center gap-1 text-slate-300">
+                <input type="checkbox" checked={questFilter.overdue} onChange={(e) => setQuestFilter((f) => ({ ...f, overdue: e.target.checked }))} /> Overdue
+              </label>
+              <select value={questSort.key} onChange={(e) => setQuestSort((srt) => ({ ...srt, key: e.target.value }))} className="p-2 bg-slate-800 rounded">
+                {Object.entries(QUEST_SORTS).map(([k, v]) => <option key={k} value={k}>Sort: {v.label}</option>)}
+              </select>
+              <button onClick={() => setQuestSort((srt) => ({ ...srt, dir: srt.dir === 'asc' ? 'desc' : 'asc' }))} className="px-3 py-2 bg-slate-700 rounded" title="Toggle sort direction">{questSort.dir === 'asc' ? '↑' : '↓'}</button>
             </div>
 
             <div className="grid grid-cols-1 gap-3">
-              {quests.map((q) => (
-                <div key={q.id} className={`p-3 rounded-lg ${q.completed ? 'bg-emerald-900/20' : 'bg-white/3 backdrop-blur'}`}>
-                  <div className="flex justify-between">
-                    <div>
-                      <div className="font-medium">{q.title}</div>
-                      <div className="text-xs text-slate-400">{q.description}</div>
-                      {q.dueAt && <div className="text-xs text-slate-400">Due: {new Date(q.dueAt).toLocaleString()}</div>}
+              {quests.length > 0 && <div className="text-xs text-slate-400">Showing {visibleQuests.length} of {quests.length} quests</div>}
+              {visibleQuests.map((q) => {
+                const locked = !q.completed && isQuestLocked(q, quests);
+                const chain = q.chainId && chains.find((c) => c.id === q.chainId);
+                if (editingQuestId === q.id) {
+                  return (
+                    <div key={q.id} className="p-3 rounded-lg bg-white/5 border border-indigo-500/40">
+                      <QuestInlineEdit quest={q} onSave={(patch) => updateQuest(q.id, patch)} onCancel={() => setEditingQuestId(null)} />
                     </div>
-                    <div className="text-right">
-                      <div className="text-xs text-slate-400">{q.subject} • {q.rarity}</div>
-                      <div className="text-sm font-bold text-emerald-300">+{q.rewardExp} EXP</div>
+                  );
+                }
+                return (
+                  <div key={q.id} className={`p-3 rounded-lg ${q.completed ? 'bg-emerald-900/20' : 'bg-white/3 backdrop-blur'} ${q.assignmentId ? 'border-l-4 border-indigo-400' : ''} ${locked ? 'opacity-60' : ''}`}>
+                    <div className="flex justify-between">
+                      <div>
+                        <div className="font-medium">{locked && '🔒 '}{q.title}</div>
+                        {q.assignmentId && <div className="text-xs text-indigo-300">📌 Assigned by {q.assignedBy}</div>}
+                        {chain && (
+                          <div className="text-xs text-amber-300">
+                            Chain: {chain.title}
+                            {locked && ` • Unlocks after ${q.requires.map((id) => quests.find((x) => x.id === id)).filter((x) => x && !x.completed).map((x) => x.title).join(', ')}`}
+                          </div>
+                        )}
+                        <div className="text-xs text-slate-400">{q.description}</div>
+                        {q.reason && <div className="text-xs italic text-violet-300">Why: {q.reason}</div>}
+                        {q.dueAt && <div className={`text-xs ${isQuestOverdue(q) ? 'text-rose-400' : 'text-slate-400'}`}>Due: {new Date(q.dueAt).toLocaleString()}{isQuestOverdue(q) && ' (overdue)'}</div>}
+                        {describeRepeat(q.repeat) && (
+                          <div className="text-xs text-sky-300">
+                            Repeats: {describeRepeat(q.repeat)}
+                            {q.completed && q.nextDueAt && !q.rolledOver && ` • Next: ${new Date(q.nextDueAt).toLocaleString()}`}
+                          </div>
+                        )}
+                      </div>
+                      <div className="text-right">
+                        <div className="text-xs text-slate-400">{q.subject} • {q.rarity}</div>
+                        <div className="text-sm font-bold text-emerald-300">+{q.rewardExp} EXP</div>
+                      </div>
                     </div>
-                  </div>
 
-                  <div className="mt-3 flex justify-between items-center">
-                    <div className="text-xs text-slate-400">Est: {q.estMins} mins</div>
-                    <div className="flex gap-2">
-                      {!q.completed && !q.pendingComplete && <button onClick={() => triggerCompletePopup(q.id)} className="px-3 py-1 bg-emerald-500 rounded text-sm">Complete</button>}
-                      {q.pendingComplete && <div className="text-xs text-slate-300">Pending completion...</div>}
-                      <button onClick={() => removeQuest(q.id)} className="px-3 py-1 bg-rose-600 rounded text-sm">Remove</button>
+                    <div className="mt-3 flex justify-between items-center">
+                      <div className="text-xs text-slate-400">
+                        Est: {q.estMins} mins
+                        {(q.focusMins > 0 || q.requireFocus) && ` • Focused: ${q.focusMins || 0} mins`}
+                        {(q.requireFocus || q.jobChange) && !q.completed && !canCompleteQuest(q, focus) && ` (needs ${q.jobChange ? JOB_TRIAL_MINS : Math.ceil(q.estMins * FOCUS_MIN_RATIO)} to complete)`}
+                        {q.requireFocus && !q.completed && canCompleteQuest(q, focus) && focusRewardFactor(q, focus) < 1 && ` (partial reward: ${Math.round(focusRewardFactor(q, focus) * 100)}%)`}
+                      </div>
+                      <div className="flex gap-2">
+                        {!q.completed && !q.pendingComplete && !locked && (focus && focus.questId === q.id ? (
+                          <div className="text-xs text-emerald-300 self-center">Focusing…</div>
+                        ) : (
+                          <button onClick={() => startFocus(q.id)} className="px-3 py-1 bg-sky-600 rounded text-sm">Focus</button>
+                        ))}
+                        {!q.completed && !q.pendingComplete && !locked && (
+                          <button onClick={() => triggerCompletePopup(q.id)} disabled={!canCompleteQuest(q, focus)} className="px-3 py-1 bg-emerald-500 rounded text-sm disabled:opacity-40">Complete</button>
+                        )}
+                        {q.pendingComplete && <div className="text-xs text-slate-300">Pending completion...</div>}
+                        <button onClick={() => setEditingQuestId(q.id)} className="px-3 py-1 bg-slate-600 rounded text-sm">Edit</button>
+                        <button onClick={() => removeQuest(q.id)} className="px-3 py-1 bg-rose-600 rounded text-sm">Remove</button>
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
 
               {quests.length === 0 && <div className="text-slate-400 p-3">No quests — generate some with the AI or create your own.</div>}
+              {quests.length > 0 && visibleQuests.length === 0 && <div className="text-slate-400 p-3">No quests match these filters.</div>}
             </div>
           </motion.div>
         )}
 
+        {activeTab === 'Dev' && (
+          <GeneratorDevPanel
+            userId={user.id}
+            stats={stats}
+            level={level}
+            history={history}
+            quests={quests}
+            templates={questTemplates}
+            snapshots={genSnapshots}
+            onAdd={(g) => {
+              // quests already in the log keep their progress
+              const fresh = g.filter((x) => !quests.some((q) => q.id === x.id));
+              if (fresh.length === 0) return;
+              recordEvent('create', `${fresh.length} replayed quest${fresh.length === 1 ? '' : 's'}`);
+              setQuests((s) => [...fresh.filter((x) => !s.some((q) => q.id === x.id)), ...s]);
+              setPopQueue((p) => [...p, ...fresh.map((it) => ({ ...it, type: 'new' }))]);
+            }}
+          />
+        )}
+
         {activeTab === 'Inventory' && (
           <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
-            <h3 className="text-xl mb-2">Inventory</h3>
-            <p className="text-slate-400">Badges, achievements and automations will show here soon.</p>
+            <InventoryPanel inventory={inventory} quests={quests} history={history} level={level} onUse={consumeItem} achievements={achievements} achievementCtx={achievementCtx} />
           </motion.div>
         )}
       </div>
@@ -0,0 +1,222 @@
+// Merge rules for the optional sync server. Shared by the app (App.jsx) and
+// server/sync-server.js so both sides resolve conflicts the same way.
+//
+// A synced record carries a `syncClock`:
+//   items[coll][key]       when the item was last changed on some device (ms)
+//   tombstones[coll][key]  when the item was deleted
+//   blocks[name]           when any field of that block last changed
+// Items in a collection are merged one by one, last writer wins. On a tie a
+// deletion beats an edit, and two edits are ordered by their JSON so every
+// device picks the same winner. Plain fields are merged per block the same way,
+// except the counters and sets that several devices add to independently: EXP
+// and gold are corrected by the history entries the winning side hadn't seen,
+// and achievements are the union of both sides.
+
+export function historyKey(h) {
+  return `${h.id}|${h.at}`;
+}
+
+export const SYNC_COLLECTIONS = {
+  quests: (q) => q.id,
+  chains: (c) => c.id,
+  inventory: (i) => i.id,
+  history: historyKey,
+};
+
+export const SYNC_BLOCKS = {
+  progress: ['stats', 'exp', 'level', 'unspent', 'allocated', 'streak', 'boss', 'penaltyShields', 'gold', 'achievements', 'job'],
+  settings: ['customPacks', 'disabledPacks', 'penaltyRules', 'levelCurve', 'shopItems', 'reports', 'genRuns', 'lastGeneratedAt', 'receivedAssignments'],
+};
+
+// What each block field must hold when it is set (null means "not set yet").
+const FIELD_TYPES = {
+  stats: 'object', exp: 'number', level: 'number', unspent: 'number', allocated: 'object', streak: 'object',
+  boss: 'object', penaltyShields: 'number', gold: 'number', achievements: 'object', job: 'object',
+  customPacks: 'array', disabledPacks: 'array', penaltyRules: 'array', levelCurve: 'object', shopItems: 'array',
+  reports: 'array', genRuns: 'object', lastGeneratedAt: 'string', receivedAssignments: 'array',
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isFinite(v) ? 'number' : 'non-finite number';
+  return typeof v;
+}
+
+// Problems that would break a merge, as messages; empty when the record is usable.
+export function syncRecordErrors(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return ['Record is not an object'];
+  const errors = [];
+  Object.keys(SYNC_COLLECTIONS).forEach((coll) => {
+    const v = record[coll];
+    if (v == null) return;
+    if (!Array.isArray(v)) errors.push(`${coll} must be a list`);
+    else if (v.some((x) => !x || typeof x !== 'object' || Array.isArray(x))) errors.push(`${coll} must only hold objects`);
+  });
+  Object.values(SYNC_BLOCKS).flat().forEach((f) => {
+    if (record[f] == null) return;
+    const type = typeOf(record[f]);
+    if (type !== FIELD_TYPES[f]) errors.push(`${f} must be ${FIELD_TYPES[f] === 'array' ? 'a list' : `a ${FIELD_TYPES[f]}`}, got ${type}`);
+  });
+  if (record.syncClock != null && typeOf(record.syncClock) !== 'object') errors.push('syncClock must be an object');
+  return errors;
+}
+
+export const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+// Both the app and the server trim history to this many entries.
+export const HISTORY_LIMIT = 1000;
+
+export function emptySyncClock() {
+  const byCollection = () => Object.fromEntries(Object.keys(SYNC_COLLECTIONS).map((k) => [k, {}]));
+  return { items: byCollection(), tombstones: byCollection(), blocks: Object.fromEntries(Object.keys(SYNC_BLOCKS).map((b) => [b, 0])) };
+}
+
+function normalizeClock(clock) {
+  const empty = emptySyncClock();
+  if (!clock || typeof clock !== 'object') return empty;
+  return {
+    items: { ...empty.items, ...(clock.items || {}) },
+    tombstones: { ...empty.tombstones, ...(clock.tombstones || {}) },
+    blocks: { ...empty.blocks, ...(clock.blocks || {}) },
+  };
+}
+
+// The part of a user record that is synced; focus timers and the undo log stay on the device.
+export function syncContent(record) {
+  const out = {};
+  Object.keys(SYNC_COLLECTIONS).forEach((k) => { out[k] = record[k] || []; });
+  Object.values(SYNC_BLOCKS).flat().forEach((k) => { out[k] = record[k] === undefined ? null : record[k]; });
+  return out;
+}
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Stamps everything that differs between two snapshots of syncContent with `now`.
+// Returns the same clock object when nothing changed.
+export function stampSyncClock(clock, prev, next, now = Date.now()) {
+  const c = normalizeClock(clock);
+  let changed = false;
+  Object.entries(SYNC_COLLECTIONS).forEach(([coll, keyOf]) => {
+    if (prev[coll] === next[coll]) return;
+    const before = new Map((prev[coll] || []).map((x) => [keyOf(x), x]));
+    const kept = new Set();
+    (next[coll] || []).forEach((x) => {
+      const key = keyOf(x);
+      kept.add(key);
+      if (before.has(key) && same(before.get(key), x)) return;
+      c.items[coll] = { ...c.items[coll], [key]: now };
+      if (c.tombstones[coll][key]) {
+        const { [key]: _revived, ...rest } = c.tombstones[coll];
+        c.tombstones[coll] = rest;
+      }
+      changed = true;
+    });
+    before.forEach((_, key) => {
+      if (kept.has(key)) return;
+      const { [key]: _gone, ...rest } = c.items[coll];
+      c.items[coll] = rest;
+      c.tombstones[coll] = { ...c.tombstones[coll], [key]: now };
+      changed = true;
+    });
+  });
+  Object.entries(SYNC_BLOCKS).forEach(([block, fields]) => {
+    if (fields.some((f) => !same(prev[f], next[f]))) {
+      c.blocks = { ...c.blocks, [block]: now };
+      changed = true;
+    }
+  });
+  return changed ? c : clock;
+}
+
+function pickWinner(a, b) {
+  if (a.at !== b.at) return a.at > b.at ? a : b;
+  if (a.deleted !== b.deleted) return a.deleted ? a : b;
+  if (a.deleted) return a;
+  return JSON.stringify(a.item) >= JSON.stringify(b.item) ? a : b;
+}
+
+// Merges two records (either may be null). The result keeps every non-synced
+// field of `local` and carries the merged clock.
+export function mergeSynced(local, remote, now = Date.now()) {
+  if (!remote) return local;
+  if (!local) return remote;
+  const lc = normalizeClock(local.syncClock);
+  const rc = normalizeClock(remote.syncClock);
+  const clock = emptySyncClock();
+  const merged = {};
+
+  Object.entries(SYNC_COLLECTIONS).forEach(([coll, keyOf]) => {
+    const mine = new Map((local[coll] || []).map((x) => [keyOf(x), x]));
+    const theirs = new Map((remote[coll] || []).map((x) => [keyOf(x), x]));
+    // items only the remote has go first (the lists are newest-first), then local order
+    const keys = [...new Set([
+      ...[...theirs.keys()].filter((k) => !mine.has(k)),
+      ...mine.keys(),
+      ...Object.keys(lc.tombstones[coll]),
+      ...Object.keys(rc.tombstones[coll]),
+    ])];
+    const out = [];
+    keys.forEach((key) => {
+      const candidates = [];
+      if (mine.has(key)) candidates.push({ item: mine.get(key), at: lc.items[coll][key] || 0 });
+      if (theirs.has(key)) candidates.push({ item: theirs.get(key), at: rc.items[coll][key] || 0 });
+      if (lc.tombstones[coll][key]) candidates.push({ deleted: true, at: lc.tombstones[coll][key] });
+      if (rc.tombstones[coll][key]) candidates.push({ deleted: true, at: rc.tombstones[coll][key] });
+      const win = candidates.reduce(pickWinner);
+      if (win.deleted) {
+        if (now - win.at < TOMBSTONE_TTL_MS) clock.tombstones[coll][key] = win.at;
+      } else {
+        out.push(win.item);
+        if (win.at) clock.items[coll][key] = win.at;
+      }
+    });
+    merged[coll] = coll === 'history' ? out.sort((a, b) => (a.at === b.at ? 0 : a.at < b.at ? 1 : -1)) : out;
+  });
+
+  let progressSide = local;
+  Object.entries(SYNC_BLOCKS).forEach(([block, fields]) => {
+    const useRemote = rc.blocks[block] > lc.blocks[block];
+    if (block === 'progress' && useRemote) progressSide = remote;
+    fields.forEach((f) => { merged[f] = useRemote ? remote[f] : local[f]; });
+    clock.blocks[block] = Math.max(lc.blocks[block], rc.blocks[block]);
+  });
+
+  const { exp, gold } = historyCorrection(progressSide.history || [], merged.history);
+  if (exp) merged.exp = Math.max(0, finite(merged.exp) + exp);
+  if (gold) merged.gold = Math.max(0, finite(merged.gold) + gold);
+  merged.achievements = unionAchievements(local.achievements, remote.achievements);
+  merged.history = merged.history.slice(0, HISTORY_LIMIT);
+
+  return { ...local, ...merged, syncClock: clock };
+}
+
+const finite = (n) => (typeof n === 'number' && Number.isFinite(n) ? n : 0);
+
+// EXP and gold the winning progress block is missing: entries it never saw were
+// earned (or lost) on the other device, entries the merge dropped were undone
+// there. Entries older than what a full history still holds were only trimmed.
+function historyCorrection(seen, merged) {
+  const seenKeys = new Set(seen.map(historyKey));
+  const mergedKeys = new Set(merged.map(historyKey));
+  const floor = seen.length >= HISTORY_LIMIT ? seen[seen.length - 1].at : '';
+  const out = { exp: 0, gold: 0 };
+  merged.forEach((h) => {
+    if (seenKeys.has(historyKey(h)) || h.at < floor) return;
+    out.exp += finite(h.reward);
+    out.gold += finite(h.gold);
+  });
+  seen.forEach((h) => {
+    if (mergedKeys.has(historyKey(h))) return;
+    out.exp -= finite(h.reward);
+    out.gold -= finite(h.gold);
+  });
+  return out;
+}
+
+// Unlocks from either side, each with its earliest unlock time.
+function unionAchievements(a, b) {
+  const out = { ...(a || {}) };
+  Object.entries(b || {}).forEach(([id, at]) => {
+    if (!out[id] || at < out[id]) out[id] = at;
+  });
+  return out;
+}